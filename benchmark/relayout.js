@@ -0,0 +1,308 @@
+/* eslint-env node */
+'use strict';
+
+/*
+ * Benchmark of the relayout of a full width grid with 10k items; for example,
+ * when the window is resized.
+ *
+ * Usage:
+ *     node benchmark/relayout.js [baseline]
+ *
+ * `baseline` is the path of another build of staggered_grid.js to compare
+ * with; for example, a previous version:
+ *     git show <commit>:src/js/staggered_grid.js > /tmp/staggered_grid.js
+ *     node benchmark/relayout.js /tmp/staggered_grid.js
+ *
+ * The layout math is measured with `compute_layout`; builds from before it
+ * was exported only get the rendering measured. The rendering by
+ * `StaggeredGrid` works with every build but is only measured when jsdom can
+ * be required (`npm install jsdom`); jsdom is a lot slower than a browser, so
+ * only compare its numbers with each other.
+ */
+
+const child_process = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const item_count = 10000;
+const column_counts = [4, 16, 64];
+// The widths of the container while it's being resized.
+const container_widths = [];
+for (let width = 800; width <= 1800; width += 50)
+{
+    container_widths.push(width);
+}
+
+
+/**
+ * @param {Number} seed
+ *
+ * @returns {Function} - A pseudo random number generator; so that every run
+ * uses the same items.
+ */
+function create_random(seed)
+{
+    return () =>
+    {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+}
+
+/**
+ * @returns {Array} - `{width, height}` records of the items.
+ */
+function create_items()
+{
+    const random = create_random(42);
+    const items = [];
+    for (let i = 0; i < item_count; i++)
+    {
+        items.push({
+            width: 400,
+            height: 200 + Math.floor(random() * 400),
+        });
+    }
+    return items;
+}
+
+/**
+ * @param {Function} callback
+ * @param {Number} runs
+ *
+ * @returns {Number} - The median time of the runs in milliseconds; after a
+ * run to warm up.
+ */
+function time(callback, runs)
+{
+    callback(0);
+    const times = [];
+    for (let i = 0; i < runs; i++)
+    {
+        const start = process.hrtime.bigint();
+        callback(i);
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+}
+
+/**
+ * Time `compute_layout` for each of the container widths.
+ *
+ * @param {Object} staggered_grid - The exports of a staggered_grid.js build.
+ * @param {Array} items
+ *
+ * @returns {Object} - The median time of a relayout for each column count.
+ */
+function benchmark_layout(staggered_grid, items)
+{
+    const results = {};
+    if (typeof staggered_grid.compute_layout !== 'function')
+    {
+        return results;
+    }
+    for (let i = 0; i < column_counts.length; i++)
+    {
+        const layout = {
+            number_of_cols: column_counts[i],
+            column_width: 100,
+            gutter: 10,
+            x_gutter: 10,
+            full_width: true,
+        };
+        results[`layout, ${column_counts[i]} columns`] = time(
+            (run) => staggered_grid.compute_layout(items, layout, container_widths[run % container_widths.length]),
+            container_widths.length * 2
+        );
+    }
+    return results;
+}
+
+/**
+ * Create a page in jsdom with a `StaggeredGrid` of the items. Every grid
+ * gets its own page; builds from before `destroy` can't remove a grid.
+ *
+ * @param {String} file - The path of the staggered_grid.js build.
+ * @param {Array} items
+ * @param {Number} number_of_cols
+ *
+ * @returns {Object} - `{window, grid, set_viewport_width, flush_frames}`.
+ */
+function create_page(file, items, number_of_cols)
+{
+    const {JSDOM} = require('jsdom');
+    let html = '<div id="staggered-grid">';
+    for (let i = 0; i < items.length; i++)
+    {
+        html += `<div class="grid-item" data-width="${items[i].width}" data-height="${items[i].height}"></div>`;
+    }
+    html += '</div>';
+    const dom = new JSDOM(`<body>${html}</body>`, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+    });
+    const window = dom.window;
+    let viewport_width = container_widths[0];
+    Object.defineProperty(window.document.documentElement, 'clientWidth', {get: () => viewport_width});
+    window.matchMedia = (query) => ({
+        media: query,
+        matches: true,
+        addListener: () => undefined,
+        removeListener: () => undefined,
+    });
+    // The animation frames are only run by `flush_frames`; so that the
+    // positions that are written in later frames are part of the time.
+    const frames = new Map();
+    let frame_id = 0;
+    window.requestAnimationFrame = (callback) =>
+    {
+        frame_id++;
+        frames.set(frame_id, callback);
+        return frame_id;
+    };
+    window.cancelAnimationFrame = (id) => frames.delete(id);
+    const flush_frames = () =>
+    {
+        while (frames.size > 0)
+        {
+            const callbacks = Array.from(frames.values());
+            frames.clear();
+            callbacks.forEach((callback) => callback(window.performance.now()));
+        }
+    };
+    window.eval(`${fs.readFileSync(file, 'utf8')}\nwindow.StaggeredGrid = StaggeredGrid;`);
+
+    const grid = new window.StaggeredGrid({
+        layouts: [
+            {
+                number_of_cols: number_of_cols,
+                column_width: 100,
+                gutter: 10,
+                x_gutter: 10,
+                breakpoint: 0,
+                full_width: true,
+            },
+        ],
+    });
+    grid.pack();
+    flush_frames();
+    return {
+        window: window,
+        grid: grid,
+        set_viewport_width: (width) =>
+        {
+            viewport_width = width;
+        },
+        flush_frames: flush_frames,
+    };
+}
+
+/**
+ * Time the relayouts of a `StaggeredGrid` in jsdom when the container is
+ * resized, for each column count, and when items are added. Works with every
+ * build; also with the builds from before `compute_layout`.
+ *
+ * @param {String} file - The path of the staggered_grid.js build.
+ * @param {Array} items
+ *
+ * @returns {Object} - The median times.
+ */
+function benchmark_render(file, items)
+{
+    const results = {};
+    for (let i = 0; i < column_counts.length; i++)
+    {
+        const {window, grid, set_viewport_width, flush_frames} = create_page(file, items, column_counts[i]);
+        results[`render, resize, ${column_counts[i]} columns`] = time((run) =>
+        {
+            set_viewport_width(container_widths[(run % (container_widths.length - 1)) + 1]);
+            grid.pack();
+            flush_frames();
+        }, 10);
+        window.close();
+    }
+
+    const {window, grid, flush_frames} = create_page(file, items, column_counts[0]);
+    const grid_element = window.document.getElementById('staggered-grid');
+    results['render, append 10 items'] = time(() =>
+    {
+        const elements = [];
+        for (let i = 0; i < 10; i++)
+        {
+            const element = window.document.createElement('div');
+            element.className = 'grid-item';
+            element.dataset.width = '400';
+            element.dataset.height = '300';
+            grid_element.appendChild(element);
+            elements.push(element);
+        }
+        grid.update({elements: elements});
+        flush_frames();
+    }, 10);
+    window.close();
+    return results;
+}
+
+/**
+ * @returns {Boolean} - Whether jsdom is installed.
+ */
+function has_jsdom()
+{
+    try
+    {
+        require.resolve('jsdom');
+        return true;
+    }
+    catch (error)
+    {
+        return false;
+    }
+}
+
+
+// Each build is measured in its own process; so that the builds don't
+// share a warmed up JIT or a heap that has to be collected.
+if (process.argv[2] === '--build')
+{
+    const file = process.argv[3];
+    const items = create_items();
+    const results = benchmark_layout(require(file), items);
+    if (has_jsdom())
+    {
+        Object.assign(results, benchmark_render(file, items));
+    }
+    process.stdout.write(JSON.stringify(results));
+}
+else
+{
+    const builds = [['current', path.join(__dirname, '..', 'src', 'js', 'staggered_grid.js')]];
+    if (process.argv[2])
+    {
+        builds.push(['baseline', path.resolve(process.argv[2])]);
+    }
+
+    const rows = {};
+    for (let i = 0; i < builds.length; i++)
+    {
+        const [name, file] = builds[i];
+        const output = child_process.execFileSync(process.execPath, [__filename, '--build', file]);
+        for (const [label, median] of Object.entries(JSON.parse(output)))
+        {
+            rows[label] = rows[label] || {};
+            rows[label][name] = `${median.toFixed(1)} ms`;
+        }
+    }
+
+    console.info(`Median time of a relayout with ${item_count} items:`);
+    for (const [label, medians] of Object.entries(rows))
+    {
+        // Builds without `compute_layout` only have the rendering rows.
+        const columns = builds.map(([name]) => `${name}: ${medians[name] || 'n/a'}`.padEnd(20));
+        console.info(`    ${label.padEnd(28)}${columns.join('')}`);
+    }
+    if (has_jsdom() === false)
+    {
+        console.info('Install jsdom to also measure the rendering; also of builds without compute_layout.');
+    }
+}
@@ -39,9 +39,133 @@ const grid_utils = (function()
         };
     }
 
+    // Returns a function that calls `func` at most once per animation frame;
+    // with the arguments of the last call in that frame.
+    function throttle_frame(func)
+    {
+        let frame = undefined;
+        return function()
+        {
+            const context = this;
+            const args = arguments;
+            if (frame === undefined)
+            {
+                frame = window.requestAnimationFrame(() =>
+                {
+                    frame = undefined;
+                    func.apply(context, args);
+                });
+            }
+        };
+    }
+
+    // Returns a promise that resolves with the image once it has loaded;
+    // also when it fails to load, so check the natural size of the image.
+    function load_image(image)
+    {
+        if (typeof image.decode === 'function')
+        {
+            return image.decode().then(() => image, () => image);
+        }
+        return new Promise((resolve) =>
+        {
+            image.addEventListener('load', () => resolve(image), {once: true});
+            image.addEventListener('error', () => resolve(image), {once: true});
+        });
+    }
+
+    // Watches the grid element for grid items that are added or removed and
+    // calls `callback(removed, runs)` at most once per frame with the changes;
+    // `runs` is an array of `[elements, index]` where the elements are next
+    // to each other in the DOM. `is_known` tells whether an element has
+    // already been added to the grid. Returns the MutationObserver.
+    function observe_grid_items(grid_element, is_known, callback)
+    {
+        const added = new Set();
+        const removed = new Set();
+        const collect = (nodes, set) =>
+        {
+            for (let i = 0; i < nodes.length; i++)
+            {
+                const node = nodes[i];
+                if (node.nodeType === 1 && node.classList.contains('grid-item'))
+                {
+                    set.add(node);
+                }
+            }
+        };
+
+        const flush = throttle_frame(() =>
+        {
+            // Elements that were moved are removed and inserted again.
+            const removed_elements = [];
+            removed.forEach((element) =>
+            {
+                if (element.parentNode !== grid_element || added.has(element))
+                {
+                    removed_elements.push(element);
+                }
+            });
+            const new_elements = new Set();
+            added.forEach((element) =>
+            {
+                const is_moved = removed_elements.includes(element);
+                if (element.parentNode === grid_element && (is_moved || is_known(element) === false))
+                {
+                    new_elements.add(element);
+                }
+            });
+            added.clear();
+            removed.clear();
+
+            const runs = [];
+            let run = [];
+            let index = 0;
+            const children = grid_element.children;
+            for (let i = 0; i <= children.length; i++)
+            {
+                const element = children[i];
+                if (element && new_elements.has(element))
+                {
+                    run.push(element);
+                    continue;
+                }
+                if (run.length > 0)
+                {
+                    runs.push([run, index]);
+                    index += run.length;
+                    run = [];
+                }
+                if (element && element.classList.contains('grid-item'))
+                {
+                    index++;
+                }
+            }
+            if (removed_elements.length > 0 || runs.length > 0)
+            {
+                callback(removed_elements, runs);
+            }
+        });
+
+        const observer = new MutationObserver((records) =>
+        {
+            for (let i = 0; i < records.length; i++)
+            {
+                collect(records[i].addedNodes, added);
+                collect(records[i].removedNodes, removed);
+            }
+            flush();
+        });
+        observer.observe(grid_element, {childList: true});
+        return observer;
+    }
+
     return {
         required_arg: required_arg,
         debounce: debounce,
+        throttle_frame: throttle_frame,
+        load_image: load_image,
+        observe_grid_items: observe_grid_items,
     };
 })();
 
@@ -59,10 +183,17 @@ class GridError extends Error
 
 class GridConfigError extends Error
 {
-    constructor(message = grid_utils.required_arg('message'))
+    /**
+     * @param {String} message
+     * @param {Array} [problems = []] - A message for each problem when more
+     * than one problem is reported at once; see the `strict` setting of
+     * `StaggeredGrid`.
+     */
+    constructor(message = grid_utils.required_arg('message'), problems = [])
     {
         super(message);
         this.name = 'GridConfigError';
+        this.problems = problems;
     }
 }
 
@@ -70,681 +201,5339 @@ class GridConfigError extends Error
 
 
 /**
- * @class
  * @private
  *
- * A `Grid` is just a grid that is not responsive. Multiple `Grid`
- * instances can be used by the `StaggeredGrid` class to form a responsive grid.
- *
- * @throws {TypeError} - When the new keyword is not used to instantiate a new
- * `Grid` instance.
+ * The layout engine. Only does the math for positioning grid items; it never
+ * touches the DOM so that it can also be used in Node and in Web Workers.
+ * Items are plain `{width, height, colspan}` records where the width and
+ * height are only used for the aspect ratio of the item.
  */
-function Grid({
-    grid_element = grid_utils.required_arg('grid_element'),
-    mirror_width_container = undefined,
-
-    number_of_cols = 3,
-    column_width = 300, // in px
-    gutter = 20, // in px
-    x_gutter = 20, // in px
-    use_translate = false,
-    breakpoint = 1200, // in px
-
-    set_width = true,
-    set_height = true,
-    full_width = false,
-    full_width_with_outside_gutters = false,
-
-    animate = false,
-    animate_cols = false,
-    animate_delay = 0,
-    animate_css_class = 'animate',
-
-    rtl = false,
-
-    fixed_width = undefined,
-    horizontal_order = false,
-})
+const grid_layout = (function()
 {
-    if (! new.target)
-    {
-        throw new TypeError('Object cannot be created without the new keyword');
-    }
-
+    const layout_defaults = {
+        number_of_cols: 3,
+        column_width: 300, // in px or a CSS length
+        gutter: 20, // in px or a CSS length
+        x_gutter: 20, // in px or a CSS length
+        full_width: false,
+        full_width_with_outside_gutters: false,
+        fixed_width: undefined,
+        horizontal_order: false,
+        colspan_overflow: 'clamp',
+        stamps: [],
+        // Where to place the next item; see `create_packer`. Follows the
+        // horizontal_order setting when not set.
+        placement: undefined,
+        placement_threshold: 40, // in px
+        placement_lookahead: 3,
+        // Either columns or justified rows; see `create_row_packer`.
+        mode: 'columns',
+        target_row_height: 200, // in px or a CSS length
+        max_row_scale: 1.5,
+        min_row_scale: 0.5,
+        last_row: 'start',
+        // Columns from top to bottom or rows from left to right; see
+        // `create_horizontal_packer`.
+        orientation: 'vertical',
+    };
+    // The settings of the grid that a layout can override in `StaggeredGrid`;
+    // they don't change the layout. The breakpoint picks the layout.
+    const grid_settings = [
+        'breakpoint', 'grid_element', 'mirror_width_container', 'use_translate', 'set_width', 'set_height',
+        'animate', 'animate_cols', 'animate_delay', 'animate_css_class', 'rtl',
+        'on_duplicate', 'measure_items', 'on_item_ready', 'write_chunk_size',
+    ];
+    const placement_strategies = ['shortest', 'ordered', 'balanced', 'leftmost-within-threshold'];
+    const last_row_rules = ['start', 'center', 'justify'];
 
-    if (full_width_with_outside_gutters)
-    {
-        full_width = true;
-    }
+    // The number of columns from which the shortest column is kept in a heap;
+    // comparing every column is faster for fewer columns.
+    const column_heap_threshold = 16;
 
-    if (full_width && fixed_width)
-    {
-        const warn_msg = (
-            'fixed_width and full_width are set in grid '
-            + 'configuration. Only full_width will be used.'
-        );
-        console.warn(warn_msg);
-        fixed_width = undefined;
-    }
+    // The layout settings that can be CSS lengths.
+    const length_settings = ['column_width', 'gutter', 'x_gutter', 'fixed_width', 'target_row_height'];
 
-    if (animate || animate_cols)
+    /**
+     * Convert a CSS length to pixels. Numbers are already in pixels.
+     *
+     * @param {Number || String} value - For example `300`, `'300px'`,
+     * `'1.5rem'`, `'2em'` or `'25%'`.
+     * @param {Number} [container_width = undefined] - The width that
+     * percentages are relative to.
+     * @param {Number} [root_font_size = 16] - The font size that `rem` and
+     * `em` are relative to.
+     *
+     * @returns {Number} - The length in pixels.
+     *
+     * @throws {GridConfigError} - When the value is not a number or a px,
+     * rem, em or % value or when a percentage is used without a container
+     * width.
+     */
+    function resolve_length(value, container_width = undefined, root_font_size = 16)
     {
-        if (use_translate)
+        if (typeof value === 'number')
         {
-            console.warn(
-                'The grid cannot be animated when use_translate === true.'
+            return value;
+        }
+        const match = /^\s*(-?\d*\.?\d+)\s*(px|rem|em|%)?\s*$/.exec(String(value));
+        if (! match)
+        {
+            throw new GridConfigError(
+                `Invalid length value (${value}); `
+                + 'use a number or a px, rem, em or % value.'
             );
-            animate = false;
-            animate_cols = false;
         }
-        else
+        const number = parseFloat(match[1]);
+        const unit = match[2] || 'px';
+        if (unit === 'rem' || unit === 'em')
         {
-            animate = true; // Just in case only animate_cols is true
+            return number * root_font_size;
+        }
+        if (unit === '%')
+        {
+            if (container_width === undefined)
+            {
+                throw new GridConfigError(
+                    `A container width is required to resolve a percentage value (${value}).`
+                );
+            }
+            return (number / 100) * container_width;
         }
+        return number;
     }
 
-
-    // Each grid item gets stored in the items array.
-    const items = [];
-
-
-    // Use the column sizes to keep track of each column's height in the grid
-    // so that we know where to add a new item. For full width grids, these
-    // values have to be recalculated each time the grid gets resized.
-    let col_sizes = undefined;
-    function reset_col_sizes()
+    /**
+     * @param {Object} layout_config - The layout settings.
+     *
+     * @returns {Boolean} - Whether any of the lengths of the layout are
+     * percentages of the container width.
+     */
+    function uses_percentages(layout_config = grid_utils.required_arg('layout_config'))
     {
-        col_sizes = Array(number_of_cols).fill(0);
+        for (let i = 0; i < length_settings.length; i++)
+        {
+            const value = layout_config[length_settings[i]];
+            if (typeof value === 'string' && value.trim().endsWith('%'))
+            {
+                return true;
+            }
+        }
+        return false;
     }
-    reset_col_sizes();
-
 
     /**
-     * Add new items to this grid so that we can calculate their positions in
-     * the layout.
+     * Resolve the lengths of the stamps of a layout and check that they fit
+     * in the layout. A stamp is a block that is placed before the items so
+     * that the items flow around it.
      *
-     * @param {Array} elements - The new HTML elements to add to this grid.
-     * This does not literally mean appending these items to the grid; it just
-     * means adding them to the items array so that their layout positions can
-     * be calculated and then rendered into the grid.
+     * @param {Array} stamps - `{column, span, y, height}` records; the `y`
+     * offset and the `height` can be CSS lengths. Other properties are kept.
+     * @param {Number} number_of_cols - The number of columns of the layout.
+     * @param {Number} [container_width = undefined] - See `resolve_length`.
+     * @param {Number} [root_font_size = 16] - See `resolve_length`.
      *
-     * @throws {GridConfigError} - When data-width or data-height attributes
-     * are missing on the HTML grid item.
+     * @returns {Array} - Copies of the stamps with the lengths in pixels and
+     * the span clamped to the columns of the layout.
+     *
+     * @throws {GridConfigError} - When the column of a stamp is not in the
+     * layout or when a length can't be resolved.
      */
-    function add_new_items(elements = grid_utils.required_arg('elements'))
+    function resolve_stamps(
+        stamps = grid_utils.required_arg('stamps'),
+        number_of_cols = grid_utils.required_arg('number_of_cols'),
+        container_width = undefined,
+        root_font_size = 16
+    )
     {
-        elements.forEach((element, i) =>
+        const resolved = [];
+        for (let i = 0; i < stamps.length; i++)
         {
-            const original_width = element.dataset.width;
-            const original_height = element.dataset.height;
-
-            if (element.classList.contains('grid-item'))
+            const stamp = stamps[i];
+            const column = stamp.column || 0;
+            if (Number.isInteger(column) === false || column < 0 || column >= number_of_cols)
             {
-                const error_msg = (
-                    'Missing data-width or data-height attribute on grid-item'
+                throw new GridConfigError(
+                    `Invalid stamp column (${stamp.column}); `
+                    + `the layout has ${number_of_cols} columns.`
                 );
-                if (! original_width || ! original_height)
-                {
-                    throw new GridConfigError(error_msg);
-                }
-
-                items.push({
-                    element: element,
-                    height: undefined,
-                    width: undefined,
-                    coords: {
-                        x: undefined,
-                        y: undefined,
-                    },
-                    original_width: original_width,
-                    original_height: original_height,
-                    is_showing: false,
-                });
             }
-        });
+            let height = undefined;
+            if (stamp.height !== undefined)
+            {
+                height = resolve_length(stamp.height, container_width, root_font_size);
+            }
+            resolved.push(Object.assign({}, stamp, {
+                column: column,
+                span: Math.min(stamp.span || 1, number_of_cols - column),
+                y: resolve_length(stamp.y || 0, container_width, root_font_size),
+                height: height,
+            }));
+        }
+        return resolved;
     }
 
     /**
-     * @private
+     * Fill in the defaults of a layout and calculate the column width and
+     * the grid width.
      *
-     * Pack the grid by calculating the position of each grid-item element,
-     * caching those values and updating the DOM with the calculated values
-     * if `render` is set to `true`.
+     * @param {Object} [layout_config = {}] - The layout settings; the same
+     * settings as a layout in the `layouts` array of `StaggeredGrid`.
+     * @param {Number} [container_width = undefined] - The width that full
+     * width layouts have to fit in and that percentages are relative to. The
+     * configured `column_width` is used for full width layouts when this is
+     * not set.
+     * @param {Number} [root_font_size = 16] - The font size that `rem` and
+     * `em` values are relative to.
      *
-     * @param {Boolean} [obj.render = true] - If set to false the function will
-     * not update the DOM.
-     * @param {Boolean} [obj.show_items = false] - If set to true the function
-     * will make all grid items visible either by animating them or by setting
-     * opacity to 1. This is to prevent the function from unnecessarily doing
-     * the update.
+     * @returns {Object} - A copy of the layout settings that includes the
+     * `column_width` and `grid_width` to use; all lengths are in pixels.
+     *
+     * @throws {GridConfigError} - When a length can't be resolved (see
+     * `resolve_length`), when the placement is not a strategy or a function
+     * or when the settings of a justified or horizontal layout are not
+     * valid.
      */
-    function pack({
-        render = true,
-        show_items = false,
-    } = {
-        render: true,
-        show_items: false,
-    })
+    function resolve_layout(layout_config = {}, container_width = undefined, root_font_size = 16)
     {
-        let gutters = (gutter * (number_of_cols - 1)) / (number_of_cols);
-        if (fixed_width && full_width === false)
+        const layout = Object.assign({}, layout_defaults, layout_config);
+        for (let i = 0; i < length_settings.length; i++)
         {
-            column_width = (fixed_width / number_of_cols) - gutters;
+            const setting = length_settings[i];
+            if (layout[setting] !== undefined)
+            {
+                layout[setting] = resolve_length(layout[setting], container_width, root_font_size);
+            }
         }
+        const number_of_cols = layout.number_of_cols;
+        const gutter = layout.gutter;
 
-        // Step 1.
-        // This has to happen first otherwise there might be some
-        // unexpected behaviour.
-        if (render)
+        if (layout.placement === undefined)
+        {
+            layout.placement = layout.horizontal_order ? 'ordered' : 'shortest';
+        }
+        if (typeof layout.placement !== 'function' && placement_strategies.includes(layout.placement) === false)
+        {
+            throw new GridConfigError(
+                `Invalid placement value (${layout.placement}); `
+                + `use either ${placement_strategies.join(', ')} or a function.`
+            );
+        }
+        if (layout.mode !== 'columns' && layout.mode !== 'justified')
+        {
+            throw new GridConfigError(`Invalid mode value (${layout.mode}); use either columns or justified.`);
+        }
+        if (layout.mode === 'justified')
         {
-            if (full_width)
+            if (last_row_rules.includes(layout.last_row) === false)
             {
-                if (full_width_with_outside_gutters)
-                {
-                    gutters = gutters + ((gutter * 2) / number_of_cols);
-                }
-                column_width = (document.documentElement.clientWidth / number_of_cols) - gutters;
+                throw new GridConfigError(
+                    `Invalid last_row value (${layout.last_row}); `
+                    + `use either ${last_row_rules.join(', ')}.`
+                );
             }
-
-            if (set_width)
+            if (layout.target_row_height <= 0 || layout.max_row_scale < 1)
             {
-                const grid_width = number_of_cols * column_width + (gutter * (number_of_cols - 1));
-                grid_element.style.width = `${grid_width}px`;
-                if (mirror_width_container)
-                {
-                    mirror_width_container.style.width = `${grid_width}px`;
-                    // Set the opacity to 1. If the element's opacity is
-                    // not set to 0 the position of the element will not
-                    // be correct. Only show the element when it is
-                    // correctly placed.
-                    mirror_width_container.style.opacity = '1';
-                }
+                throw new GridConfigError(
+                    'A justified layout needs a target_row_height above 0 and a max_row_scale of at least 1.'
+                );
             }
-            else
+            if ((layout.min_row_scale > 0 && layout.min_row_scale <= 1) === false)
             {
-                grid_element.style.width = '';
-                if (mirror_width_container)
-                {
-                    mirror_width_container.style.width = '';
-                }
+                throw new GridConfigError(
+                    `Invalid min_row_scale value (${layout.min_row_scale}); use a number above 0 and at most 1.`
+                );
+            }
+            if (layout.stamps.length > 0)
+            {
+                throw new GridConfigError('Stamps are not supported by justified layouts.');
             }
         }
 
-        if (full_width)
+        if (layout.full_width_with_outside_gutters)
+        {
+            layout.full_width = true;
+        }
+        if (layout.full_width)
+        {
+            layout.fixed_width = undefined;
+        }
+        if (layout.orientation !== 'vertical' && layout.orientation !== 'horizontal')
+        {
+            throw new GridConfigError(
+                `Invalid orientation value (${layout.orientation}); use either vertical or horizontal.`
+            );
+        }
+        if (layout.orientation === 'horizontal' && (layout.full_width || layout.fixed_width || layout.mode === 'justified'))
         {
-            // Because full width needs to recalculate the entire grid
-            // each time (because the column width isn't fixed).
-            reset_col_sizes();
+            throw new GridConfigError(
+                'Horizontal layouts need a number_of_cols and a column_width; '
+                + 'full_width, fixed_width and justified rows are not supported.'
+            );
         }
 
-        let delay = 0;
-        let i = 0;
-        const items_length = items.length;
-        let height_of_single_col_layout = 0;
-        let next_col = 0; // For horizontal_order
-        for (i = 0; i < items_length; i++)
+        let gutters = (gutter * (number_of_cols - 1)) / (number_of_cols);
+        if (layout.fixed_width)
         {
-            // Step 2. Calculate the grid. Skip the calculation if the values
-            // are already stored.
-            const item = items[i];
-            let smallest_col = 0;
-            let vert_position = 0;
-            if (item.coords.x === undefined || item.coords.y === undefined || item.height === undefined || full_width)
+            layout.column_width = (layout.fixed_width / number_of_cols) - gutters;
+        }
+        else if (layout.full_width && container_width !== undefined)
+        {
+            if (layout.full_width_with_outside_gutters)
             {
-                const adjusted_height = column_width * (item.original_height / item.original_width);
-                if (number_of_cols !== 1 && horizontal_order === false)
-                {
-                    [smallest_col, vert_position] = find_smallest_col(); // So we can add the grid item to the shortest column.
-                }
-                else if (number_of_cols === 1 && horizontal_order === false)
-                {
-                    vert_position = height_of_single_col_layout;
-                }
+                gutters = gutters + ((gutter * 2) / number_of_cols);
+            }
+            layout.column_width = (container_width / number_of_cols) - gutters;
+        }
 
-                if (horizontal_order)
-                {
-                    smallest_col = next_col;
-                    if (next_col < (number_of_cols - 1))
-                    {
-                        next_col += 1;
-                    }
-                    else
-                    {
-                        next_col = 0;
-                    }
-                    vert_position = col_sizes[smallest_col];
-                }
+        layout.grid_width = number_of_cols * layout.column_width + (gutter * (number_of_cols - 1));
+        layout.stamps = resolve_stamps(layout.stamps, number_of_cols, container_width, root_font_size);
+        return layout;
+    }
 
-                item.coords.y = vert_position;
-                item.coords.x = (column_width + gutter) * smallest_col;
-                item.height = adjusted_height;
-                item.width = column_width;
-                if (rtl && use_translate)
-                {
-                    item.coords.x = item.coords.x * -1;
-                }
+    /**
+     * Check the settings of a layout; `resolve_layout` stops at the first
+     * problem and accepts values that don't make sense, like a negative
+     * gutter or a misspelled setting.
+     *
+     * @param {Object} layout_config - The layout settings; the same settings
+     * as a layout in the `layouts` array of `StaggeredGrid`.
+     * @param {Number} [root_font_size = 16] - See `resolve_length`.
+     *
+     * @returns {Array} - A message for each problem; empty when the layout is
+     * valid.
+     */
+    function find_layout_problems(layout_config = grid_utils.required_arg('layout_config'), root_font_size = 16)
+    {
+        const problems = [];
+        const layout = Object.assign({}, layout_defaults, layout_config);
+        const invalid = (setting, expected) =>
+        {
+            problems.push(`Invalid ${setting} value (${layout[setting]}); use ${expected}.`);
+        };
 
-                const block_size = item.height + x_gutter;
-                vert_position += block_size;
-                col_sizes[smallest_col] = vert_position;
-                height_of_single_col_layout = vert_position;
+        const unknown_settings = Object.keys(layout_config).filter(
+            (setting) => grid_settings.includes(setting) === false && (setting in layout_defaults) === false
+        );
+        for (let i = 0; i < unknown_settings.length; i++)
+        {
+            problems.push(`Unknown setting (${unknown_settings[i]}).`);
+        }
 
-                if (animate_cols)
-                {
-                    item.animate_delay = (animate_delay * smallest_col).toString() + 'ms';
-                }
-                else if (animate)
-                {
-                    item.animate_delay = delay.toString() + 'ms';
-                    delay += animate_delay;
-                }
+        // Percentages are resolved against any width; only the sign matters.
+        const lengths = {};
+        for (let i = 0; i < length_settings.length; i++)
+        {
+            const setting = length_settings[i];
+            if (layout[setting] === undefined)
+            {
+                continue;
             }
-
-            // Step 3. Update the DOM.
-            if (render)
+            try
             {
-                item.element.style.width = `${item.width}px`;
-                item.element.style.height = `${item.height}px`;
-
-                if (use_translate)
-                {
-                    item.element.style.transform = `translate(${item.coords.x}px, ${item.coords.y}px)`;
-                }
-                else
+                lengths[setting] = resolve_length(layout[setting], 100, root_font_size);
+            }
+            catch (error)
+            {
+                if (error instanceof GridConfigError === false)
                 {
-                    item.element.style.top = `${item.coords.y}px`;
-                    if (rtl)
-                    {
-                        item.element.style.right = `${item.coords.x}px`;
-                    }
-                    else
-                    {
-                        item.element.style.left = `${item.coords.x}px`;
-                    }
+                    throw error;
                 }
+                problems.push(error.message);
+            }
+        }
+        const is_above = (value, min) => Number.isFinite(value) && value > min;
+        const is_at_least = (value, min) => Number.isFinite(value) && value >= min;
 
-                if (item.is_showing === false || show_items)
-                {
-                    if (animate)
+        const number_of_cols = layout.number_of_cols;
+        if (Number.isInteger(number_of_cols) === false || number_of_cols < 1)
+        {
+            invalid('number_of_cols', 'a whole number above 0');
+        }
+        const is_full_width = layout.full_width || layout.full_width_with_outside_gutters;
+        // The column width of full and fixed width layouts is calculated.
+        const needs_column_width = is_full_width === false && layout.fixed_width === undefined;
+        if (needs_column_width && 'column_width' in lengths && is_above(lengths.column_width, 0) === false)
+        {
+            invalid('column_width', 'a length above 0');
+        }
+        if (is_full_width === false && 'fixed_width' in lengths && is_above(lengths.fixed_width, 0) === false)
+        {
+            invalid('fixed_width', 'a length above 0');
+        }
+        for (const setting of ['gutter', 'x_gutter'])
+        {
+            if (setting in lengths && is_at_least(lengths[setting], 0) === false)
+            {
+                invalid(setting, 'a length of at least 0');
+            }
+        }
+        if ('target_row_height' in lengths && is_above(lengths.target_row_height, 0) === false)
+        {
+            invalid('target_row_height', 'a length above 0');
+        }
+        if (is_at_least(layout.max_row_scale, 1) === false)
+        {
+            invalid('max_row_scale', 'a number of at least 1');
+        }
+        if (is_above(layout.min_row_scale, 0) === false || layout.min_row_scale > 1)
+        {
+            invalid('min_row_scale', 'a number above 0 and at most 1');
+        }
+        if (is_at_least(layout.placement_threshold, 0) === false)
+        {
+            invalid('placement_threshold', 'a number of at least 0');
+        }
+        if (Number.isInteger(layout.placement_lookahead) === false || layout.placement_lookahead < 0)
+        {
+            invalid('placement_lookahead', 'a whole number of at least 0');
+        }
+
+        const is_placement = (
+            layout.placement === undefined
+            || typeof layout.placement === 'function'
+            || placement_strategies.includes(layout.placement)
+        );
+        if (is_placement === false)
+        {
+            invalid('placement', `either ${placement_strategies.join(', ')} or a function`);
+        }
+        if (layout.mode !== 'columns' && layout.mode !== 'justified')
+        {
+            invalid('mode', 'either columns or justified');
+        }
+        if (last_row_rules.includes(layout.last_row) === false)
+        {
+            invalid('last_row', `either ${last_row_rules.join(', ')}`);
+        }
+        if (layout.orientation !== 'vertical' && layout.orientation !== 'horizontal')
+        {
+            invalid('orientation', 'either vertical or horizontal');
+        }
+        if (layout.colspan_overflow !== 'clamp' && layout.colspan_overflow !== 'single')
+        {
+            invalid('colspan_overflow', 'either clamp or single');
+        }
+        if (layout.orientation === 'horizontal' && (is_full_width || layout.fixed_width || layout.mode === 'justified'))
+        {
+            problems.push('Horizontal layouts do not support full_width, fixed_width or justified rows.');
+        }
+
+        if (Array.isArray(layout.stamps) === false)
+        {
+            invalid('stamps', 'an array');
+        }
+        else if (layout.stamps.length > 0 && layout.mode === 'justified')
+        {
+            problems.push('Stamps are not supported by justified layouts.');
+        }
+        else if (Number.isInteger(number_of_cols) && number_of_cols > 0)
+        {
+            try
+            {
+                resolve_stamps(layout.stamps, number_of_cols, 100, root_font_size);
+            }
+            catch (error)
+            {
+                if (error instanceof GridConfigError === false)
+                {
+                    throw error;
+                }
+                problems.push(error.message);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * An indexed binary min-heap of the columns of a packer; so that the
+     * shortest column is found without comparing every column for each item.
+     * Ties go to the leftmost column, the same as `Math.min` and `indexOf`.
+     *
+     * @param {Array} sizes - The column sizes; the heap is reordered when
+     * `update` is called for a column that has changed.
+     *
+     * @returns {Object}
+     */
+    function create_column_heap(sizes = grid_utils.required_arg('sizes'))
+    {
+        const heap = sizes.map((size, col) => col);
+        // The index in the heap of each column.
+        const positions = heap.slice();
+        const is_lower = (a, b) => sizes[a] < sizes[b] || (sizes[a] === sizes[b] && a < b);
+
+        function swap(i, j)
+        {
+            [heap[i], heap[j]] = [heap[j], heap[i]];
+            positions[heap[i]] = i;
+            positions[heap[j]] = j;
+        }
+
+        function sift_up(i)
+        {
+            while (i > 0)
+            {
+                const parent = Math.floor((i - 1) / 2);
+                if (is_lower(heap[i], heap[parent]) === false)
+                {
+                    return;
+                }
+                swap(i, parent);
+                i = parent;
+            }
+        }
+
+        function sift_down(i)
+        {
+            for (;;)
+            {
+                let lowest = i;
+                for (const child of [(2 * i) + 1, (2 * i) + 2])
+                {
+                    if (child < heap.length && is_lower(heap[child], heap[lowest]))
                     {
-                        item.element.style.animationDelay = item.animate_delay;
-                        item.element.classList.add(animate_css_class);
+                        lowest = child;
                     }
-                    else
+                }
+                if (lowest === i)
+                {
+                    return;
+                }
+                swap(i, lowest);
+                i = lowest;
+            }
+        }
+
+        for (let i = Math.floor(heap.length / 2) - 1; i >= 0; i--)
+        {
+            sift_down(i);
+        }
+
+        return {
+            // The shortest column.
+            peek: () => heap[0],
+            update: (col) =>
+            {
+                sift_up(positions[col]);
+                sift_down(positions[col]);
+            },
+        };
+    }
+
+    /**
+     * Create a packer that places items one after the other and keeps track
+     * of the height of each column in between. The `placement` of the layout
+     * decides the column of each item:
+     *
+     * - `shortest`: The shortest column; closest to the top.
+     * - `ordered`: The next column; the same as `horizontal_order`.
+     * - `leftmost-within-threshold`: The leftmost column that is at most
+     *   `placement_threshold` pixels lower than the shortest column; so that
+     *   the items don't zig-zag between columns of nearly the same height.
+     * - `balanced`: Of the columns that are at most `placement_threshold`
+     *   pixels lower than the shortest column, the column that keeps the
+     *   heights of the columns closest together after placing the next
+     *   `placement_lookahead` items as well.
+     * - A function that is called with the column heights, the item and the
+     *   index of the item and returns the column.
+     *
+     * Justified layouts get a packer that places the items in rows instead;
+     * see `create_row_packer`. Horizontal layouts turn the columns into rows;
+     * see `create_horizontal_packer`.
+     *
+     * @param {Object} layout - A layout returned by `resolve_layout`.
+     *
+     * @returns {Object}
+     */
+    function create_packer(layout = grid_utils.required_arg('layout'))
+    {
+        if (layout.mode === 'justified')
+        {
+            return create_row_packer(layout);
+        }
+        if (layout.orientation === 'horizontal')
+        {
+            return create_horizontal_packer(layout);
+        }
+
+        // Use the column sizes to keep track of each column's height in the
+        // grid so that we know where to add a new item.
+        let col_sizes = undefined;
+        // Finds the shortest column in col_sizes; only for layouts with
+        // enough columns, see `column_heap_threshold`.
+        let col_heap = undefined;
+        let next_col = 0; // For horizontal_order
+        // The number of items that have been placed; for custom placements.
+        let placed_count = 0;
+        // The placements of the stamps; the items are placed around them.
+        let stamps = [];
+
+        /**
+         * Start with empty columns again.
+         *
+         * @param {Object} [new_layout = layout] - Switch to another layout;
+         * for example, when the column width of a full width layout changes.
+         */
+        function reset(new_layout = layout)
+        {
+            layout = new_layout;
+            col_sizes = Array(layout.number_of_cols).fill(0);
+            col_heap = undefined;
+            if (layout.number_of_cols >= column_heap_threshold)
+            {
+                col_heap = create_column_heap(col_sizes);
+            }
+            next_col = 0;
+            placed_count = 0;
+            stamps = (layout.stamps || []).map(place_stamp);
+        }
+        reset();
+
+        /**
+         * @param {Object} stamp - A stamp returned by `resolve_stamps`.
+         *
+         * @returns {Object} - The placement of the stamp;
+         * `{x, y, width, height, column, span}`.
+         *
+         * @throws {GridConfigError} - When the stamp doesn't have a height.
+         */
+        function place_stamp(stamp)
+        {
+            if (stamp.height === undefined)
+            {
+                throw new GridConfigError('A stamp needs a height to be laid out.');
+            }
+            return {
+                x: (layout.column_width + layout.gutter) * stamp.column,
+                y: stamp.y,
+                width: (layout.column_width * stamp.span) + (layout.gutter * (stamp.span - 1)),
+                height: stamp.height,
+                column: stamp.column,
+                span: stamp.span,
+            };
+        }
+
+        /**
+         * Moves a position down until an item at that position doesn't
+         * overlap any of the stamps; including the row gutter.
+         *
+         * @param {Number} column - The first column of the item.
+         * @param {Number} span - The number of columns of the item.
+         * @param {Number} y - The highest position of the item.
+         * @param {Number} height - The height of the item.
+         *
+         * @returns {Number} - The position of the item.
+         */
+        function find_free_y(column, span, y, height)
+        {
+            let moved = true;
+            while (moved)
+            {
+                moved = false;
+                for (let i = 0; i < stamps.length; i++)
+                {
+                    const stamp = stamps[i];
+                    const shares_columns = stamp.column < column + span && column < stamp.column + stamp.span;
+                    const overlaps = (
+                        y < stamp.y + stamp.height + layout.x_gutter
+                        && stamp.y < y + height + layout.x_gutter
+                    );
+                    if (shares_columns && overlaps)
                     {
-                        item.element.style.opacity = 1;
+                        y = stamp.y + stamp.height + layout.x_gutter;
+                        moved = true;
                     }
-                    item.is_showing = true;
                 }
             }
+            return y;
         }
 
-        // Step 4.
-        if (render)
+        /**
+         * Finds the number of columns an item spans in this layout. When the
+         * item's colspan is wider than the number of columns the
+         * `colspan_overflow` setting decides what happens; `clamp` spans all
+         * the columns and `single` falls back to a single column.
+         *
+         * @param {Number} [colspan = 1]
+         *
+         * @returns {Number} - The number of columns to span.
+         */
+        function find_span(colspan = 1)
         {
-            if (set_height)
+            if (colspan <= layout.number_of_cols)
             {
-                const tallest_height = find_tallest_height();
-                grid_element.style.height = `${tallest_height}px`;
+                return colspan;
+            }
+            if (layout.colspan_overflow === 'single')
+            {
+                return 1;
+            }
+            return layout.number_of_cols;
+        }
+
+        /**
+         * Finds the shortest column in the grid. So that we know which column
+         * to add the next grid item to when calculating the position of each
+         * grid item. For items that span more than one column this finds the
+         * lowest run of adjacent columns; the run is as tall as its tallest
+         * column.
+         *
+         * @param {Number} [span = 1] - The number of adjacent columns needed.
+         * @param {Number} [height = 0] - The height of the item; to find a
+         * position that doesn't overlap the stamps.
+         * @param {Array} [sizes = col_sizes] - The column sizes to use; for
+         * looking ahead.
+         *
+         * @returns {Array} - The column number (0, 1, 2, etc) and the height
+         * value of the shortest/smallest column in the grid. For example:
+         * [smallest_col_index, height_of_smallest_column]
+         */
+        function find_smallest_col(span = 1, height = 0, sizes = col_sizes)
+        {
+            if (span === 1 && stamps.length === 0 && sizes === col_sizes && col_heap)
+            {
+                const col_number = col_heap.peek();
+                return [col_number, col_sizes[col_number]];
+            }
+            if (span === 1 && stamps.length === 0)
+            {
+                const smallest_value = Math.min(...sizes);
+                const col_number = sizes.indexOf(smallest_value);
+
+                // For example, column 0 is column 1, column 1 is column 2.
+                // It has to be the index otherwise the math won't work and
+                // you'll end skipping the first column.
+                return [col_number, smallest_value];
+            }
+
+            const runs = find_runs(span, height, sizes);
+            let smallest = runs[0];
+            for (let i = 1; i < runs.length; i++)
+            {
+                if (runs[i][1] < smallest[1])
+                {
+                    smallest = runs[i];
+                }
+            }
+            return smallest;
+        }
+
+        /**
+         * Finds where an item would go in each run of adjacent columns that
+         * is wide enough for the item. A run is as tall as its tallest
+         * column.
+         *
+         * @param {Number} span - The number of adjacent columns needed.
+         * @param {Number} height - The height of the item.
+         * @param {Array} [sizes = col_sizes] - The column sizes to use.
+         *
+         * @returns {Array} - A `[column, y]` pair for each run; from left to
+         * right.
+         */
+        function find_runs(span, height, sizes = col_sizes)
+        {
+            const runs = [];
+            for (let col = 0; col + span <= layout.number_of_cols; col++)
+            {
+                runs.push([col, find_free_y(col, span, Math.max(...sizes.slice(col, col + span)), height)]);
+            }
+            return runs;
+        }
+
+        /**
+         * @param {Number} span
+         * @param {Number} height
+         *
+         * @returns {Array} - The `[column, y]` of the leftmost run that is at
+         * most `placement_threshold` lower than the lowest run.
+         */
+        function find_leftmost_col(span, height)
+        {
+            const runs = find_runs(span, height);
+            const lowest = Math.min(...runs.map((run) => run[1]));
+            return runs.find((run) => run[1] <= lowest + layout.placement_threshold);
+        }
+
+        /**
+         * @param {Number} span
+         * @param {Number} height
+         * @param {Array} next_records - The items that come after this item.
+         *
+         * @returns {Array} - The `[column, y]` of the run that keeps the
+         * column heights closest together after the next items have been
+         * placed in the shortest columns. Only the runs that are at most
+         * `placement_threshold` lower than the lowest run are used; so that
+         * the order of the items stays close to the order they're in.
+         */
+        function find_balanced_col(span, height, next_records)
+        {
+            const runs = find_runs(span, height);
+            const lowest = Math.min(...runs.map((run) => run[1]));
+            let balanced = undefined;
+            let smallest_variance = Infinity;
+            for (let i = 0; i < runs.length; i++)
+            {
+                const [column, y] = runs[i];
+                if (y > lowest + layout.placement_threshold)
+                {
+                    continue;
+                }
+                const sizes = col_sizes.slice();
+                add_to_col_sizes(sizes, column, span, y + height);
+                for (let j = 0; j < next_records.length; j++)
+                {
+                    const next = next_records[j];
+                    const next_span = find_span(next.colspan);
+                    const next_height = get_item_width(next.colspan) * (next.height / next.width);
+                    if (Number.isFinite(next_height) === false)
+                    {
+                        // Items that still have to be measured.
+                        continue;
+                    }
+                    const [next_column, next_y] = find_smallest_col(next_span, next_height, sizes);
+                    add_to_col_sizes(sizes, next_column, next_span, next_y + next_height);
+                }
+
+                const mean = sizes.reduce((sum, size) => sum + size, 0) / sizes.length;
+                const variance = sizes.reduce((sum, size) => sum + ((size - mean) ** 2), 0) / sizes.length;
+                if (variance < smallest_variance)
+                {
+                    smallest_variance = variance;
+                    balanced = runs[i];
+                }
+            }
+            return balanced;
+        }
+
+        /**
+         * @param {Array} sizes - The column sizes to update.
+         * @param {Number} column - The first column of the item.
+         * @param {Number} span - The number of columns of the item.
+         * @param {Number} bottom - The bottom of the item.
+         */
+        function add_to_col_sizes(sizes, column, span, bottom)
+        {
+            for (let col = column; col < column + span; col++)
+            {
+                if (bottom + layout.x_gutter > sizes[col])
+                {
+                    sizes[col] = bottom + layout.x_gutter;
+                }
+            }
+        }
+
+        /**
+         * @param {Number} [colspan = 1]
+         *
+         * @returns {Number} - The width of an item with this colspan; the
+         * width includes the gutters between the spanned columns.
+         */
+        function get_item_width(colspan = 1)
+        {
+            const span = find_span(colspan);
+            return (layout.column_width * span) + (layout.gutter * (span - 1));
+        }
+
+        /**
+         * Calculate the position of the next item.
+         *
+         * @param {Object} record - The item; `{width, height, colspan}`.
+         * @param {Iterable} [next_records = []] - The items that come after
+         * this item; only used by the `balanced` placement.
+         *
+         * @returns {Object} - The placement of the item;
+         * `{x, y, width, height, column, span}`.
+         *
+         * @throws {GridConfigError} - When a placement function doesn't return
+         * a column number.
+         */
+        function place(record = grid_utils.required_arg('record'), next_records = [])
+        {
+            const number_of_cols = layout.number_of_cols;
+            const span = find_span(record.colspan);
+            const width = get_item_width(record.colspan);
+            const height = width * (record.height / record.width);
+
+            let column = 0;
+            let y = 0;
+            if (typeof layout.placement === 'function')
+            {
+                column = layout.placement(
+                    get_column_heights(),
+                    Object.assign({}, record, {span: span}),
+                    placed_count
+                );
+                if (Number.isInteger(column) === false)
+                {
+                    throw new GridConfigError('The placement function must return a column number.');
+                }
+                // Make sure that all the columns of the item are in the grid.
+                column = Math.min(Math.max(column, 0), number_of_cols - span);
+                y = find_free_y(column, span, Math.max(...col_sizes.slice(column, column + span)), height);
+            }
+            else if (layout.placement === 'leftmost-within-threshold')
+            {
+                [column, y] = find_leftmost_col(span, height);
+            }
+            else if (layout.placement === 'balanced')
+            {
+                [column, y] = find_balanced_col(span, height, take(next_records, layout.placement_lookahead));
+            }
+            else if (layout.placement === 'ordered')
+            {
+                if (next_col + span > number_of_cols)
+                {
+                    // Not enough columns left in this row; wrap around.
+                    next_col = 0;
+                }
+                column = next_col;
+                y = find_free_y(column, span, Math.max(...col_sizes.slice(column, column + span)), height);
             }
             else
             {
-                grid_element.style.height = '';
+                [column, y] = find_smallest_col(span, height); // So we can add the grid item to the shortest column.
+            }
+
+            const placement = {
+                x: (layout.column_width + layout.gutter) * column,
+                y: y,
+                width: width,
+                height: height,
+                column: column,
+                span: span,
+            };
+            skip(placement);
+            return placement;
+        }
+
+        /**
+         * Account for an item that has already been placed without
+         * calculating its position again; for example, when rebuilding the
+         * column sizes from cached positions.
+         *
+         * @param {Object} placement - A placement returned by `place`.
+         */
+        function skip(placement = grid_utils.required_arg('placement'))
+        {
+            // The heap is updated after each column; it can only reorder one
+            // column that has changed at a time.
+            for (let col = placement.column; col < placement.column + placement.span; col++)
+            {
+                add_to_col_sizes(col_sizes, col, 1, placement.y + placement.height);
+                if (col_heap)
+                {
+                    col_heap.update(col);
+                }
+            }
+            next_col = (placement.column + placement.span) % layout.number_of_cols;
+            placed_count++;
+        }
+
+        /**
+         * @returns {Array} - The height of each column.
+         */
+        function get_column_heights()
+        {
+            return col_sizes.map((size, col) =>
+            {
+                let height = Math.max(0, size - layout.x_gutter);
+                for (let i = 0; i < stamps.length; i++)
+                {
+                    const stamp = stamps[i];
+                    if (stamp.column <= col && col < stamp.column + stamp.span)
+                    {
+                        height = Math.max(height, stamp.y + stamp.height);
+                    }
+                }
+                return height;
+            });
+        }
+
+        /**
+         * @returns {Number} - The height of the tallest column; the height of
+         * the grid.
+         */
+        function get_height()
+        {
+            return Math.max(0, ...get_column_heights());
+        }
+
+        /**
+         * @returns {Array} - The placements of the stamps in the same order as
+         * the stamps of the layout.
+         */
+        function get_stamps()
+        {
+            return stamps.slice();
+        }
+
+        return {
+            reset: reset,
+            place: place,
+            skip: skip,
+            get_item_width: get_item_width,
+            get_column_heights: get_column_heights,
+            get_stamps: get_stamps,
+            get_height: get_height,
+            get_width: () => layout.grid_width,
+        };
+    }
+
+    /**
+     * Create a packer for a justified layout; it places the items in rows
+     * that fill the width of the grid exactly. The items of a row are scaled
+     * to the same height, which is as close to the `target_row_height` as
+     * possible but never more than `max_row_scale` times the target. A row
+     * is never less than `min_row_scale` times the target; the items of a row
+     * of very wide items are narrowed to fit the row instead. The
+     * `last_row` setting decides what happens to the last row when there
+     * aren't enough items left to fill it:
+     *
+     * - `start`: The items keep the target height and start at the start of
+     *   the row.
+     * - `center`: The items keep the target height and are centered.
+     * - `justify`: The items fill the row; unless that would scale them up by
+     *   more than `max_row_scale`, then the same as `start`.
+     *
+     * It has the same methods as the packer of `create_packer`; the column of
+     * a placement is the position of the item in its row.
+     *
+     * @param {Object} layout - A justified layout returned by
+     * `resolve_layout`.
+     *
+     * @returns {Object}
+     */
+    function create_row_packer(layout = grid_utils.required_arg('layout'))
+    {
+        // The placements of the row that is being placed.
+        let row = [];
+        // The bottom of the rows that have been placed.
+        let height = 0;
+        let has_rows = false;
+
+        /**
+         * Start with an empty grid again.
+         *
+         * @param {Object} [new_layout = layout] - Switch to another layout;
+         * for example, when the width of a full width layout changes.
+         */
+        function reset(new_layout = layout)
+        {
+            layout = new_layout;
+            row = [];
+            height = 0;
+            has_rows = false;
+        }
+
+        /**
+         * @param {Object} record - `{width, height}`.
+         *
+         * @returns {Number} - The aspect ratio of the item; items without a
+         * size are square.
+         */
+        function find_ratio(record)
+        {
+            const ratio = record.width / record.height;
+            return Number.isFinite(ratio) && ratio > 0 ? ratio : 1;
+        }
+
+        /**
+         * Lays out the next row; starting with the item that is being placed
+         * and taking as many of the next items as are needed to fill the row.
+         *
+         * @param {Object} record - The first item of the row.
+         * @param {Iterable} next_records - The items after the first item.
+         */
+        function place_row(record, next_records)
+        {
+            const width = layout.grid_width;
+            const target = layout.target_row_height;
+            const max_height = target * layout.max_row_scale;
+            const min_height = target * layout.min_row_scale;
+            const gutters = (count) => layout.gutter * (count - 1);
+            // An item is never wider than the row at the minimum height; the
+            // rest of a panorama is cropped.
+            const max_ratio = width / min_height;
+
+            const ratios = [Math.min(find_ratio(record), max_ratio)];
+            let ratio_sum = ratios[0];
+            let is_full = (ratio_sum * target) >= width;
+            const iterator = next_records[Symbol.iterator]();
+            while (is_full === false)
+            {
+                const next = iterator.next();
+                if (next.done)
+                {
+                    break;
+                }
+                ratios.push(Math.min(find_ratio(next.value), max_ratio));
+                ratio_sum += ratios[ratios.length - 1];
+                is_full = (ratio_sum * target) + gutters(ratios.length) >= width;
+            }
+
+            let row_height = target;
+            if (is_full)
+            {
+                row_height = (width - gutters(ratios.length)) / ratio_sum;
+                if (ratios.length > 1)
+                {
+                    // Without the last item the row is taller than the
+                    // target; use that when it's closer to the target.
+                    const last_ratio = ratios[ratios.length - 1];
+                    const taller_height = (width - gutters(ratios.length - 1)) / (ratio_sum - last_ratio);
+                    if (taller_height - target < target - row_height && taller_height <= max_height)
+                    {
+                        ratios.pop();
+                        ratio_sum -= last_ratio;
+                        row_height = taller_height;
+                    }
+                }
+            }
+            else if (layout.last_row === 'justify')
+            {
+                const justified_height = (width - gutters(ratios.length)) / ratio_sum;
+                if (justified_height <= max_height)
+                {
+                    row_height = justified_height;
+                }
+            }
+
+            // A row with a very wide item would still be shorter than the
+            // minimum; the items keep the minimum height and are narrowed.
+            let width_scale = 1;
+            if (row_height < min_height)
+            {
+                width_scale = (width - gutters(ratios.length)) / (ratio_sum * min_height);
+                row_height = min_height;
+            }
+
+            let x = 0;
+            if (is_full === false && layout.last_row === 'center')
+            {
+                x = Math.max(0, (width - (ratio_sum * row_height) - gutters(ratios.length)) / 2);
+            }
+            const y = has_rows ? height + layout.x_gutter : 0;
+            row = ratios.map((ratio, column) =>
+            {
+                const placement = {
+                    x: x,
+                    y: y,
+                    width: ratio * row_height * width_scale,
+                    height: row_height,
+                    column: column,
+                    span: 1,
+                };
+                x += placement.width + layout.gutter;
+                return placement;
+            });
+        }
+
+        /**
+         * Calculate the position of the next item.
+         *
+         * @param {Object} record - The item; `{width, height}`.
+         * @param {Iterable} [next_records = []] - The items that come after
+         * this item; to fill the row of the item.
+         *
+         * @returns {Object} - The placement of the item;
+         * `{x, y, width, height, column, span}`.
+         */
+        function place(record = grid_utils.required_arg('record'), next_records = [])
+        {
+            if (row.length === 0)
+            {
+                place_row(record, next_records);
+            }
+            const placement = row[0];
+            skip(placement);
+            return placement;
+        }
+
+        /**
+         * Account for an item that has already been placed without
+         * calculating its position again.
+         *
+         * @param {Object} placement - A placement returned by `place`.
+         */
+        function skip(placement = grid_utils.required_arg('placement'))
+        {
+            row.shift();
+            height = Math.max(height, placement.y + placement.height);
+            has_rows = true;
+        }
+
+        /**
+         * @returns {Number} - The width to measure items at that don't have
+         * a known size; the target row height, so that a square item keeps
+         * its size.
+         */
+        function get_item_width()
+        {
+            return layout.target_row_height;
+        }
+
+        /**
+         * @returns {Number} - The bottom of the last row; the height of the
+         * grid.
+         */
+        function get_height()
+        {
+            return height;
+        }
+
+        return {
+            reset: reset,
+            place: place,
+            skip: skip,
+            get_item_width: get_item_width,
+            // A justified grid has one column as tall as the grid.
+            get_column_heights: () => [height],
+            get_stamps: () => [],
+            get_height: get_height,
+            get_width: () => layout.grid_width,
+        };
+    }
+
+    /**
+     * Create a packer for a horizontal layout; the columns of the layout are
+     * rows that the items flow into from left to right (or from right to
+     * left). The `number_of_cols` is the number of rows, the `column_width`
+     * the height of a row, the `gutter` the space between the rows and the
+     * `x_gutter` the space between the items of a row. The width of an item
+     * follows from its aspect ratio.
+     *
+     * The items are placed with the packer of a vertical layout by swapping
+     * the widths and heights; so the placements, stamps and placement
+     * strategies all work the same, only along the other axis. The column
+     * heights are the lengths of the rows.
+     *
+     * @param {Object} layout - A horizontal layout returned by
+     * `resolve_layout`.
+     *
+     * @returns {Object} - The same methods as the packer of
+     * `create_packer`.
+     */
+    function create_horizontal_packer(layout = grid_utils.required_arg('layout'))
+    {
+        const as_vertical = (horizontal_layout) => Object.assign({}, horizontal_layout, {orientation: 'vertical'});
+        const packer = create_packer(as_vertical(layout));
+
+        const swap_record = (record) => Object.assign({}, record, {
+            width: record.height,
+            height: record.width,
+        });
+        const swap_placement = (placement) => Object.assign({}, placement, {
+            x: placement.y,
+            y: placement.x,
+            width: placement.height,
+            height: placement.width,
+        });
+        function* swap_records(records)
+        {
+            for (const record of records)
+            {
+                yield swap_record(record);
+            }
+        }
+
+        return {
+            reset: (new_layout = layout) =>
+            {
+                layout = new_layout;
+                packer.reset(as_vertical(layout));
+            },
+            place: (record = grid_utils.required_arg('record'), next_records = []) => swap_placement(
+                packer.place(swap_record(record), swap_records(next_records))
+            ),
+            skip: (placement = grid_utils.required_arg('placement')) => packer.skip(swap_placement(placement)),
+            // Items without a known size are measured at the row height.
+            get_item_width: packer.get_item_width,
+            get_column_heights: packer.get_column_heights,
+            get_stamps: () => packer.get_stamps().map(swap_placement),
+            // The rows are as tall as the columns of a vertical layout are
+            // wide and the grid is as wide as its longest row.
+            get_height: () => layout.grid_width,
+            get_width: packer.get_height,
+        };
+    }
+
+    /**
+     * @param {Iterable} iterable
+     * @param {Number} count
+     *
+     * @returns {Array} - The first `count` values of the iterable.
+     */
+    function take(iterable, count)
+    {
+        const values = [];
+        if (count <= 0)
+        {
+            return values;
+        }
+        for (const value of iterable)
+        {
+            values.push(value);
+            if (values.length >= count)
+            {
+                break;
+            }
+        }
+        return values;
+    }
+
+    return {
+        resolve_length: resolve_length,
+        uses_percentages: uses_percentages,
+        resolve_stamps: resolve_stamps,
+        resolve_layout: resolve_layout,
+        find_layout_problems: find_layout_problems,
+        create_packer: create_packer,
+    };
+})();
+
+
+/**
+ * Calculate the layout of a grid without a DOM. Uses the same math as
+ * `StaggeredGrid`, so it can be used in Node or in a Web Worker; for example,
+ * to test a layout or to calculate the layout on the server.
+ *
+ * @param {Array} items - Plain `{width, height, colspan}` records. The width
+ * and height are only used for the aspect ratio of the item; `colspan` is
+ * optional.
+ * @param {Object} [layout_config = {}] - The layout settings; the same
+ * settings as a layout in the `layouts` array of `StaggeredGrid`.
+ * @param {Number} [container_width = undefined] - The width to fit full
+ * width layouts into and that percentages are relative to; the viewport
+ * width when using `StaggeredGrid`.
+ * @param {Number} [root_font_size = 16] - The font size that `rem` and `em`
+ * values are relative to.
+ *
+ * @returns {Object} - `{items, stamps, width, height}` where `items` contains
+ * a `{x, y, width, height, column, span}` record for each item in the same
+ * order as the items that were passed in, `stamps` contains the same record
+ * for each stamp of the layout and `width` and `height` is the size of the
+ * grid.
+ *
+ * @throws {GridConfigError} - When the layout has problems; the error
+ * contains every problem that was found.
+ */
+function compute_layout(
+    items = grid_utils.required_arg('items'),
+    layout_config = {},
+    container_width = undefined,
+    root_font_size = 16
+)
+{
+    const problems = grid_layout.find_layout_problems(layout_config, root_font_size);
+    if (problems.length > 0)
+    {
+        throw new GridConfigError(`Invalid layout config:\n- ${problems.join('\n- ')}`, problems);
+    }
+    const layout = grid_layout.resolve_layout(layout_config, container_width, root_font_size);
+    const packer = grid_layout.create_packer(layout);
+    // The items after an item; for the packers that look ahead.
+    function* find_next_items(index)
+    {
+        for (let i = index + 1; i < items.length; i++)
+        {
+            yield items[i];
+        }
+    }
+    const placements = [];
+    for (let i = 0; i < items.length; i++)
+    {
+        placements.push(packer.place(items[i], find_next_items(i)));
+    }
+    return {
+        items: placements,
+        stamps: packer.get_stamps(),
+        width: packer.get_width(),
+        height: packer.get_height(),
+    };
+}
+
+
+
+
+/**
+ * Pre-render the layouts of a grid as a block of CSS; for example, to render
+ * the grid on the server so that the grid items are already positioned before
+ * the JS runs. Each layout gets its own media query, the same as the media
+ * queries that `StaggeredGrid` uses. Use the `hydrate` setting on
+ * `StaggeredGrid` to adopt the pre-rendered positions on the first pack.
+ *
+ * The grid items are selected with `:nth-child`; so all the children of the
+ * grid element should be grid items, except for stamps after the last grid
+ * item. A stamp element before a grid item would shift the positions of the
+ * grid items after it by one. Grid items that are not pre-rendered
+ * stay hidden until they are packed by `StaggeredGrid`. Stamps are only
+ * rendered when their `element` is a selector and they need a `height`; the
+ * stamps of the other layouts are hidden, the same as in `StaggeredGrid`.
+ *
+ * @param {Array} obj.items - Plain `{width, height, colspan}` records in the
+ * same order as the grid item elements; see `compute_layout`. A record can
+ * have a `selector` to use instead of the `:nth-child` selector.
+ * @param {Array} obj.layouts - The same layouts as for `StaggeredGrid`.
+ * @param {Number} [obj.container_width = undefined] - The width to fit full
+ * width layouts into and that percentages are relative to. Layouts that
+ * depend on the width of the viewport are rendered again by `StaggeredGrid`
+ * when hydrating.
+ * @param {Number} [obj.root_font_size = 16] - The font size that `rem` and
+ * `em` values are relative to; breakpoints are rendered in pixels.
+ *
+ * The other settings are the same as the settings for `StaggeredGrid`.
+ *
+ * @returns {String} - The CSS.
+ *
+ * @throws {GridConfigError} - When the layouts have problems; the error
+ * contains every problem that was found, with the index of the layout.
+ */
+function render_layout_css({
+    items = grid_utils.required_arg('items'),
+    layouts = grid_utils.required_arg('layouts'),
+    container_width = undefined,
+    root_font_size = 16,
+    grid_id = 'staggered-grid',
+    mirror_width_container_id = '',
+    set_width = true,
+    set_height = true,
+    min_width_media_queries = true,
+    use_translate = false,
+    rtl = false,
+    horizontal_order = false,
+    placement = undefined,
+})
+{
+    const grid_selector = `#${grid_id}`;
+    let css = `${grid_selector} > .grid-item {\n    position: absolute;\n    opacity: 0;\n`;
+    if (rtl && use_translate)
+    {
+        css += '    right: 0;\n';
+    }
+    css += '}\n';
+
+    // Later media queries override earlier ones; the same as picking the
+    // closest matching media query in `StaggeredGrid`. Layouts without a
+    // breakpoint get the default breakpoint of a `Grid`.
+    const breakpoint_of = (layout_config) => grid_layout.resolve_length(
+        layout_config.breakpoint === undefined ? 1200 : layout_config.breakpoint,
+        undefined,
+        root_font_size
+    );
+    const problems = [];
+    for (let i = 0; i < layouts.length; i++)
+    {
+        const layout_problems = grid_layout.find_layout_problems(layouts[i], root_font_size);
+        try
+        {
+            breakpoint_of(layouts[i]);
+        }
+        catch (error)
+        {
+            if (error instanceof GridConfigError === false)
+            {
+                throw error;
+            }
+            layout_problems.push(error.message);
+        }
+        for (let j = 0; j < layout_problems.length; j++)
+        {
+            problems.push(`layouts[${i}]: ${layout_problems[j]}`);
+        }
+    }
+    if (problems.length > 0)
+    {
+        throw new GridConfigError(`Invalid layout config:\n- ${problems.join('\n- ')}`, problems);
+    }
+    const sorted_layouts = layouts.slice().sort((a, b) =>
+    {
+        if (min_width_media_queries)
+        {
+            return breakpoint_of(a) - breakpoint_of(b);
+        }
+        return breakpoint_of(b) - breakpoint_of(a);
+    });
+    const setting = min_width_media_queries ? 'min-width' : 'max-width';
+    // The selectors of the stamp elements of each layout.
+    const stamp_selectors = sorted_layouts.map((layout_config) => (layout_config.stamps || [])
+        .map((stamp) => stamp.element)
+        .filter((element) => typeof element === 'string'));
+
+    for (let i = 0; i < sorted_layouts.length; i++)
+    {
+        const layout_config = Object.assign(
+            {
+                horizontal_order: horizontal_order,
+                placement: placement,
+            },
+            sorted_layouts[i]
+        );
+        const layout = compute_layout(items, layout_config, container_width, root_font_size);
+
+        css += `@media (${setting}: ${breakpoint_of(layout_config)}px) {\n`;
+        const grid_rules = [];
+        if (set_width)
+        {
+            grid_rules.push(`width: ${layout.width}px;`);
+        }
+        if (set_height)
+        {
+            grid_rules.push(`height: ${layout.height}px;`);
+        }
+        if (grid_rules.length > 0)
+        {
+            css += `    ${grid_selector} { ${grid_rules.join(' ')} }\n`;
+        }
+        if (set_width && mirror_width_container_id)
+        {
+            css += `    #${mirror_width_container_id} { width: ${layout.width}px; opacity: 1; }\n`;
+        }
+
+        const stamps = layout_config.stamps || [];
+        for (let j = 0; j < layout.stamps.length; j++)
+        {
+            if (typeof stamps[j].element === 'string')
+            {
+                const stamp_placement = layout.stamps[j];
+                const side = rtl ? 'right' : 'left';
+                css += (
+                    `    ${stamps[j].element} { position: absolute; width: ${stamp_placement.width}px; `
+                    + `height: ${stamp_placement.height}px; top: ${stamp_placement.y}px; ${side}: ${stamp_placement.x}px; }\n`
+                );
+            }
+        }
+
+        for (let j = 0; j < layout.items.length; j++)
+        {
+            const item_placement = layout.items[j];
+            const selector = items[j].selector || `${grid_selector} > .grid-item:nth-child(${j + 1})`;
+            let position = '';
+            if (use_translate)
+            {
+                // Right-to-left layouts translate the items to the left.
+                const x = rtl ? item_placement.x * -1 : item_placement.x;
+                position = `transform: translate(${x}px, ${item_placement.y}px);`;
+            }
+            else if (rtl)
+            {
+                position = `top: ${item_placement.y}px; right: ${item_placement.x}px;`;
+            }
+            else
+            {
+                position = `top: ${item_placement.y}px; left: ${item_placement.x}px;`;
+            }
+            css += (
+                `    ${selector} { width: ${item_placement.width}px; `
+                + `height: ${item_placement.height}px; ${position} opacity: 1; }\n`
+            );
+        }
+        css += '}\n';
+
+        // Hide the stamps of the other layouts; the same as `StaggeredGrid`
+        // does. Only up to the next breakpoint, because the layouts after
+        // this one don't override the display of their own stamps.
+        const hidden_selectors = [];
+        for (let j = 0; j < stamp_selectors.length; j++)
+        {
+            for (let k = 0; j !== i && k < stamp_selectors[j].length; k++)
+            {
+                const selector = stamp_selectors[j][k];
+                if (stamp_selectors[i].includes(selector) === false && hidden_selectors.includes(selector) === false)
+                {
+                    hidden_selectors.push(selector);
+                }
+            }
+        }
+        if (hidden_selectors.length > 0)
+        {
+            let media = `(${setting}: ${breakpoint_of(layout_config)}px)`;
+            if (i < sorted_layouts.length - 1)
+            {
+                const next_breakpoint = breakpoint_of(sorted_layouts[i + 1]);
+                if (min_width_media_queries)
+                {
+                    media += ` and (max-width: ${next_breakpoint - 0.02}px)`;
+                }
+                else
+                {
+                    media += ` and (min-width: ${next_breakpoint + 0.02}px)`;
+                }
+            }
+            css += `@media ${media} {\n    ${hidden_selectors.join(', ')} { display: none; }\n}\n`;
+        }
+    }
+    return css;
+}
+
+
+
+
+/**
+ * @private
+ *
+ * The position and size that were last written to the style of each grid
+ * item element; so that the elements that haven't moved aren't written
+ * again. Shared by all the grids because the layouts of a `StaggeredGrid`
+ * write to the same elements.
+ */
+const rendered_positions = new WeakMap();
+
+/**
+ * @private
+ *
+ * The animation frame that writes the next chunk of deferred positions into
+ * each grid element; see `write_chunk_size`. Shared by all the grids that
+ * render into the same element so that the grid that is rendered cancels
+ * the chunks that another layout, or another grid in a `GridCollection`,
+ * still has queued.
+ */
+const deferred_write_frames = new WeakMap();
+
+
+/**
+ * @class
+ * @private
+ *
+ * A `Grid` is just a grid that is not responsive. Multiple `Grid`
+ * instances can be used by the `StaggeredGrid` class to form a responsive grid.
+ * The positions are calculated by the layout engine; see `grid_layout`. The
+ * `Grid` caches the positions and renders them into the DOM.
+ *
+ * @throws {TypeError} - When the new keyword is not used to instantiate a new
+ * `Grid` instance.
+ */
+function Grid({
+    grid_element = grid_utils.required_arg('grid_element'),
+    mirror_width_container = undefined,
+
+    number_of_cols = 3,
+    column_width = 300, // in px or a CSS length
+    gutter = 20, // in px or a CSS length
+    x_gutter = 20, // in px or a CSS length
+    use_translate = false,
+    breakpoint = 1200, // in px or a CSS length
+
+    set_width = true,
+    set_height = true,
+    full_width = false,
+    full_width_with_outside_gutters = false,
+
+    animate = false,
+    animate_cols = false,
+    animate_delay = 0,
+    animate_css_class = 'animate',
+
+    rtl = false,
+
+    fixed_width = undefined,
+    horizontal_order = false,
+    placement = undefined,
+    placement_threshold = 40, // in px
+    placement_lookahead = 3,
+    mode = 'columns',
+    target_row_height = 200, // in px or a CSS length
+    max_row_scale = 1.5,
+    min_row_scale = 0.5,
+    last_row = 'start',
+    orientation = 'vertical',
+    colspan_overflow = 'clamp',
+    write_chunk_size = Infinity,
+    on_duplicate = 'ignore',
+    measure_items = false,
+    on_item_ready = undefined,
+    stamps = [],
+})
+{
+    if (! new.target)
+    {
+        throw new TypeError('Object cannot be created without the new keyword');
+    }
+
+
+    if (colspan_overflow !== 'clamp' && colspan_overflow !== 'single')
+    {
+        throw new GridConfigError(
+            `Invalid colspan_overflow value (${colspan_overflow}); `
+            + 'use either clamp or single.'
+        );
+    }
+
+    if (! (write_chunk_size > 0))
+    {
+        throw new GridConfigError(
+            `Invalid write_chunk_size value (${write_chunk_size}); use a number above 0.`
+        );
+    }
+
+    if (['ignore', 'move', 'throw'].includes(on_duplicate) === false)
+    {
+        throw new GridConfigError(
+            `Invalid on_duplicate value (${on_duplicate}); `
+            + 'use either ignore, move or throw.'
+        );
+    }
+
+    if (full_width_with_outside_gutters)
+    {
+        full_width = true;
+    }
+
+    if (full_width && fixed_width)
+    {
+        const warn_msg = (
+            'fixed_width and full_width are set in grid '
+            + 'configuration. Only full_width will be used.'
+        );
+        console.warn(warn_msg);
+        fixed_width = undefined;
+    }
+
+    if (animate || animate_cols)
+    {
+        if (use_translate)
+        {
+            console.warn(
+                'The grid cannot be animated when use_translate === true.'
+            );
+            animate = false;
+            animate_cols = false;
+        }
+        else
+        {
+            animate = true; // Just in case only animate_cols is true
+        }
+    }
+
+
+    // Each grid item gets stored in the items array.
+    const items = [];
+    // The items in the order that they are laid out in, without the items
+    // that are filtered out. This is the items array itself unless the grid
+    // is filtered or sorted.
+    let layout_items = items;
+    let filter_predicate = null;
+    let sort_compare = null;
+    // The elements that are in the items array; used to find elements that
+    // are added to the grid more than once.
+    let known_elements = new WeakSet();
+
+
+    const layout_config = {
+        number_of_cols: number_of_cols,
+        column_width: column_width,
+        gutter: gutter,
+        x_gutter: x_gutter,
+        full_width: full_width,
+        full_width_with_outside_gutters: full_width_with_outside_gutters,
+        fixed_width: fixed_width,
+        horizontal_order: horizontal_order,
+        placement: placement,
+        placement_threshold: placement_threshold,
+        placement_lookahead: placement_lookahead,
+        mode: mode,
+        target_row_height: target_row_height,
+        max_row_scale: max_row_scale,
+        min_row_scale: min_row_scale,
+        last_row: last_row,
+        orientation: orientation,
+        colspan_overflow: colspan_overflow,
+    };
+    // The elements of the stamps; a stamp without an element only reserves
+    // the space.
+    const stamp_elements = [];
+    for (let i = 0; i < stamps.length; i++)
+    {
+        let element = stamps[i].element;
+        if (typeof element === 'string')
+        {
+            element = grid_element.querySelector(element);
+            if (! element)
+            {
+                throw new GridConfigError(`No stamp element found in the grid for ${stamps[i].element}.`);
+            }
+        }
+        stamp_elements.push(element);
+    }
+    // Check the columns of the stamps before the grid is packed.
+    grid_layout.resolve_stamps(stamps, number_of_cols, 0);
+
+    // Full width layouts and layouts with percentages have to be
+    // recalculated each time the container gets resized.
+    const depends_on_container_width = full_width || grid_layout.uses_percentages(layout_config);
+    // The packer keeps track of each column's height in the grid so that we
+    // know where to add a new item. The layout is resolved again each time
+    // the grid is packed; until then only the number of columns is used.
+    const packer = grid_layout.create_packer(grid_layout.resolve_layout(layout_config, 0));
+    // The layout that the cached positions were calculated with.
+    let packed_layout = undefined;
+    let packed_stamps = undefined;
+    // The heights of the items that were measured for the current pack.
+    let measured_heights = new Map();
+    // The animation frame that writes the next chunk of positions of this
+    // grid; see `write_chunk_size` and `deferred_write_frames`.
+    let write_frame = undefined;
+    // Whether the column sizes have to be rebuilt from positions that were
+    // restored; see `restore`.
+    let is_restored = false;
+
+
+    /**
+     * Add new items to this grid so that we can calculate their positions in
+     * the layout.
+     *
+     * @param {Array} elements - The new HTML elements to add to this grid.
+     * This does not literally mean appending these items to the grid; it just
+     * means adding them to the items array so that their layout positions can
+     * be calculated and then rendered into the grid.
+     *
+     * @throws {GridConfigError} - When data-width or data-height attributes
+     * are missing on the HTML grid item and `measure_items` is not set or
+     * when the data-colspan attribute is not a positive number.
+     * @throws {GridError} - When an element has already been added to this
+     * grid and `on_duplicate` is set to `throw`.
+     */
+    function add_new_items(elements = grid_utils.required_arg('elements'))
+    {
+        insert_items(elements, items.length);
+    }
+
+    /**
+     * Insert new items into this grid at the given index. The items before
+     * the index keep their cached positions; only the inserted items and the
+     * items after them need to be recalculated; see `reflow_from`.
+     *
+     * Elements that have already been added to this grid are handled
+     * according to the `on_duplicate` setting; `ignore` skips them, `move`
+     * keeps them where they are and lays them out again with the size and
+     * colspan of their data attributes and `throw` throws an error without
+     * adding any of the elements.
+     *
+     * @param {Array} elements - The new HTML elements to add to this grid.
+     * @param {Number} index - The index in the items array to insert the new
+     * items at.
+     *
+     * @throws {GridConfigError} - When data-width or data-height attributes
+     * are missing on the HTML grid item and `measure_items` is not set or
+     * when the data-colspan attribute is not a positive number.
+     * @throws {GridError} - When an element has already been added to this
+     * grid and `on_duplicate` is set to `throw`.
+     */
+    function insert_items(
+        elements = grid_utils.required_arg('elements'),
+        index = grid_utils.required_arg('index')
+    )
+    {
+        const duplicates = [];
+        const batch = new Set();
+        elements.forEach((element) =>
+        {
+            if (known_elements.has(element) || batch.has(element))
+            {
+                if (on_duplicate === 'throw')
+                {
+                    throw new GridError(
+                        'Grid item has already been added to the grid.'
+                    );
+                }
+                duplicates.push(element);
+            }
+            batch.add(element);
+        });
+
+        if (on_duplicate === 'move' && duplicates.length > 0)
+        {
+            // The items keep their place in the grid.
+            refresh_items(duplicates.filter((element) => known_elements.has(element)));
+        }
+        index = Math.min(Math.max(index, 0), items.length);
+
+        const new_items = [];
+        elements.forEach((element) =>
+        {
+            if (element.classList.contains('grid-item'))
+            {
+                if (known_elements.has(element))
+                {
+                    // Already in the grid or in the elements array more
+                    // than once.
+                    return;
+                }
+
+                const record = read_item_record(element);
+                const item = create_item(element, record);
+                if (record.width === undefined)
+                {
+                    start_measuring(item);
+                }
+                new_items.push(item);
+                known_elements.add(element);
+            }
+        });
+
+        if (new_items.length > 0)
+        {
+            items.splice(index, 0, ...new_items);
+            rebuild_layout_items();
+            reflow_from(find_first_layout_index(new_items));
+        }
+    }
+
+    /**
+     * Add items that don't have an element yet; for virtualized grids where
+     * the elements are only created for the items that are visible. See
+     * `set_element`.
+     *
+     * @param {Array} records - Plain `{width, height, colspan}` records.
+     */
+    function add_records(records = grid_utils.required_arg('records'))
+    {
+        const index = items.length;
+        for (let i = 0; i < records.length; i++)
+        {
+            items.push(create_item(undefined, records[i]));
+        }
+        rebuild_layout_items();
+        reflow_from(find_first_layout_index(items.slice(index)));
+    }
+
+    /**
+     * Set the element of an item that was added with `add_records`. The
+     * element is rendered the next time the grid is packed.
+     *
+     * @param {Number} index - The index of the item.
+     * @param {HTMLElement} [element = undefined] - Leave out to unset the
+     * element; for example, when the element is removed from the DOM.
+     */
+    function set_element(index = grid_utils.required_arg('index'), element = undefined)
+    {
+        const item = items[index];
+        item.element = element;
+        if (! element)
+        {
+            item.is_showing = false;
+        }
+    }
+
+    /**
+     * @private
+     *
+     * @param {HTMLElement} element - The grid item element; can be undefined
+     * for virtualized grids.
+     * @param {Object} record - `{width, height, colspan}`.
+     *
+     * @returns {Object} - A new grid item.
+     */
+    function create_item(element, record)
+    {
+        return {
+            element: element,
+            height: undefined,
+            width: undefined,
+            coords: {
+                x: undefined,
+                y: undefined,
+            },
+            column: undefined,
+            colspan: record.colspan || 1,
+            span: undefined,
+            original_width: Number(record.width),
+            original_height: Number(record.height),
+            is_showing: false,
+            is_filtered_out: element ? is_filtered_out(element) : false,
+            // For items without a size; see `start_measuring`.
+            measure: false,
+            is_pending: false,
+        };
+    }
+
+    /**
+     * @private
+     *
+     * Find out the size of an item that doesn't have data-width and
+     * data-height attributes. Items that are just an image wait for the
+     * image to load and use its natural size; the items after a pending item
+     * are not laid out until it has loaded so that the order stays the same.
+     * All other items are measured at the column width when they are packed.
+     *
+     * @param {Object} item - The grid item to measure.
+     */
+    function start_measuring(item = grid_utils.required_arg('item'))
+    {
+        const image = find_image(item.element);
+        if (! image)
+        {
+            item.measure = true;
+            return;
+        }
+        if (image.complete && image.naturalWidth > 0 && image.naturalHeight > 0)
+        {
+            item.original_width = image.naturalWidth;
+            item.original_height = image.naturalHeight;
+            return;
+        }
+
+        item.is_pending = true;
+        grid_utils.load_image(image).then(() =>
+        {
+            // The item might have been removed while the image was loading.
+            if (items.includes(item) === false)
+            {
+                return;
+            }
+            item.is_pending = false;
+            if (image.naturalWidth > 0 && image.naturalHeight > 0)
+            {
+                item.original_width = image.naturalWidth;
+                item.original_height = image.naturalHeight;
+            }
+            else
+            {
+                // The image failed to load.
+                item.measure = true;
+            }
+            const index = layout_items.indexOf(item);
+            if (index !== -1)
+            {
+                reflow_from(index);
+            }
+            if (on_item_ready)
+            {
+                on_item_ready();
+            }
+        });
+    }
+
+    /**
+     * @private
+     *
+     * @param {HTMLElement} element - The grid item element.
+     *
+     * @returns {HTMLElement} - The image when the grid item is an image or
+     * only contains an image.
+     */
+    function find_image(element)
+    {
+        if (element.tagName === 'IMG')
+        {
+            return element;
+        }
+        const children = element.children;
+        if (children.length === 1 && children[0].tagName === 'IMG' && element.textContent.trim() === '')
+        {
+            return children[0];
+        }
+        return undefined;
+    }
+
+    /**
+     * @private
+     *
+     * Resolve the stamps for a layout. Stamps without a height use the
+     * aspect ratio of their data-width and data-height attributes or are
+     * measured at the width that they span.
+     *
+     * @param {Object} layout - A layout returned by `resolve_layout`.
+     * @param {Number} container_width - See `resolve_length`.
+     * @param {Number} root_font_size - See `resolve_length`.
+     *
+     * @returns {Array} - The stamps of the layout; see `resolve_stamps`.
+     */
+    function resolve_stamps(layout, container_width, root_font_size)
+    {
+        const resolved = grid_layout.resolve_stamps(stamps, layout.number_of_cols, container_width, root_font_size);
+        for (let i = 0; i < resolved.length; i++)
+        {
+            const stamp = resolved[i];
+            const element = stamp_elements[i];
+            if (stamp.height !== undefined || ! element)
+            {
+                continue;
+            }
+            const width = (layout.column_width * stamp.span) + (layout.gutter * (stamp.span - 1));
+            if (element.dataset.width && element.dataset.height)
+            {
+                stamp.height = width * (Number(element.dataset.height) / Number(element.dataset.width));
+            }
+            else
+            {
+                stamp.height = measure_height(element, width);
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * @private
+     *
+     * @param {HTMLElement} element - The grid item element.
+     * @param {Number} width - The width to measure the element at.
+     *
+     * @returns {Number} - The height of the element at that width.
+     */
+    function measure_height(element, width)
+    {
+        const style = element.style;
+        const previous_width = style.width;
+        const previous_height = style.height;
+        style.width = `${width}px`;
+        style.height = '';
+        const height = element.offsetHeight;
+        style.width = previous_width;
+        style.height = previous_height;
+        return height;
+    }
+
+    /**
+     * @private
+     *
+     * Finds the items that are (partly) between two vertical positions in
+     * the grid.
+     *
+     * @param {Number} top
+     * @param {Number} bottom
+     *
+     * @returns {Array} - The indexes of the items in the items array.
+     */
+    function find_items_in_range(top, bottom)
+    {
+        const indexes = [];
+        for (let i = 0; i < items.length; i++)
+        {
+            const item = items[i];
+            if (item.coords.y === undefined || item.is_filtered_out)
+            {
+                continue;
+            }
+            if (item.coords.y < bottom && item.coords.y + item.height > top)
+            {
+                indexes.push(i);
+            }
+        }
+        return indexes;
+    }
+
+    /**
+     * @private
+     *
+     * @param {Number} index - The index of the item in the items array; see
+     * `find_items_in_range`.
+     *
+     * @returns {Object} - `{element, x, y, height}` of the item as it was
+     * last laid out; the element is undefined while a virtualized item is
+     * out of view.
+     */
+    function get_item(index)
+    {
+        const item = items[index];
+        return {
+            element: item.element,
+            x: item.coords.x,
+            y: item.coords.y,
+            height: item.height,
+        };
+    }
+
+    /**
+     * @param {HTMLElement} element
+     *
+     * @returns {Boolean} - Whether the element has been added to this grid.
+     */
+    function has_element(element)
+    {
+        return known_elements.has(element);
+    }
+
+    /**
+     * Remove items from this grid. Like `add_new_items`, this does not
+     * literally remove the elements from the DOM; it just removes them from
+     * the items array. Only the items that come after the first removed item
+     * need to be recalculated; see `reflow_from`.
+     *
+     * @param {Array} elements - The HTML elements to remove from this grid.
+     */
+    function remove_items(elements = grid_utils.required_arg('elements'))
+    {
+        const removed_items = [];
+        for (let i = items.length - 1; i >= 0; i--)
+        {
+            if (elements.includes(items[i].element))
+            {
+                removed_items.push(items[i]);
+            }
+        }
+
+        if (removed_items.length > 0)
+        {
+            // Has to be found before the items are removed.
+            const first_removed = find_first_layout_index(removed_items);
+            for (let i = 0; i < removed_items.length; i++)
+            {
+                known_elements.delete(removed_items[i].element);
+                items.splice(items.indexOf(removed_items[i]), 1);
+            }
+            rebuild_layout_items();
+            reflow_from(first_removed);
+        }
+    }
+
+    /**
+     * Only lay out the items whose elements match the predicate. The items
+     * that don't match are hidden the next time the grid is rendered.
+     *
+     * @param {Function} [predicate = null] - Called with each grid item
+     * element; return `true` to keep the item. Set to `null` to remove the
+     * filter.
+     */
+    function set_filter(predicate = null)
+    {
+        filter_predicate = predicate;
+        for (let i = 0; i < items.length; i++)
+        {
+            items[i].is_filtered_out = is_filtered_out(items[i].element);
+        }
+        rebuild_layout_items();
+        reflow_from(0);
+    }
+
+    /**
+     * Change the order that the items are laid out in without changing the
+     * order of the elements in the DOM.
+     *
+     * @param {Function} [compare = null] - Called with two grid item
+     * elements; works the same as the compare function for `Array.sort`. Set
+     * to `null` to lay out the items in the order they were added in.
+     */
+    function set_sort(compare = null)
+    {
+        sort_compare = compare;
+        rebuild_layout_items();
+        reflow_from(0);
+    }
+
+    /**
+     * @private
+     *
+     * @param {HTMLElement} element - A grid item element.
+     *
+     * @returns {Boolean} - Whether the element is excluded by the filter.
+     */
+    function is_filtered_out(element)
+    {
+        if (! filter_predicate)
+        {
+            return false;
+        }
+        return ! filter_predicate(element);
+    }
+
+    /**
+     * @private
+     *
+     * Rebuild the layout_items array from the items array; applying the
+     * filter and the sort order.
+     */
+    function rebuild_layout_items()
+    {
+        if (! filter_predicate && ! sort_compare)
+        {
+            layout_items = items;
+            return;
+        }
+
+        layout_items = items.filter((item) => item.is_filtered_out === false);
+        if (sort_compare)
+        {
+            layout_items.sort((a, b) => sort_compare(a.element, b.element));
+        }
+    }
+
+    /**
+     * @private
+     *
+     * @param {HTMLElement} element - A grid item.
+     *
+     * @returns {Object} - `{width, height, colspan}` from the data attributes
+     * of the element; the width and height are undefined when the item has
+     * to be measured.
+     *
+     * @throws {GridConfigError} - When data-width or data-height attributes
+     * are missing and `measure_items` is not set or when the data-colspan
+     * attribute is not a positive number.
+     */
+    function read_item_record(element = grid_utils.required_arg('element'))
+    {
+        const original_width = element.dataset.width;
+        const original_height = element.dataset.height;
+        const has_size = Boolean(original_width && original_height);
+        if (has_size === false && measure_items === false)
+        {
+            throw new GridConfigError('Missing data-width or data-height attribute on grid-item');
+        }
+
+        let colspan = 1;
+        if (element.dataset.colspan)
+        {
+            colspan = parseInt(element.dataset.colspan);
+            if (isNaN(colspan) || colspan < 1)
+            {
+                throw new GridConfigError('Invalid data-colspan attribute on grid-item');
+            }
+        }
+        return {
+            width: has_size ? original_width : undefined,
+            height: has_size ? original_height : undefined,
+            colspan: colspan,
+        };
+    }
+
+    /**
+     * @private
+     *
+     * Read the size and the colspan of items that are already in this grid
+     * again and recalculate them where they are; see `on_duplicate`. Items
+     * without a size keep the size they were measured with.
+     *
+     * @param {Array} elements - The HTML elements of the items.
+     *
+     * @throws {GridConfigError} - See `read_item_record`.
+     */
+    function refresh_items(elements = grid_utils.required_arg('elements'))
+    {
+        const refreshed_items = [];
+        for (let i = 0; i < items.length; i++)
+        {
+            const item = items[i];
+            if (elements.includes(item.element) === false)
+            {
+                continue;
+            }
+            const record = read_item_record(item.element);
+            if (record.width !== undefined)
+            {
+                item.original_width = Number(record.width);
+                item.original_height = Number(record.height);
+                item.measure = false;
+            }
+            item.colspan = record.colspan;
+            refreshed_items.push(item);
+        }
+        if (refreshed_items.length > 0)
+        {
+            reflow_from(find_first_layout_index(refreshed_items));
+        }
+    }
+
+    /**
+     * @private
+     *
+     * @param {Array} affected_items - Items in the items array.
+     *
+     * @returns {Number} - The index of the first of the given items in the
+     * layout_items array; or the length of the array when none of the given
+     * items are laid out.
+     */
+    function find_first_layout_index(affected_items)
+    {
+        const affected = new Set(affected_items);
+        for (let i = 0; i < layout_items.length; i++)
+        {
+            if (affected.has(layout_items[i]))
+            {
+                return i;
+            }
+        }
+        return layout_items.length;
+    }
+
+    /**
+     * @private
+     *
+     * Rebuild the column sizes from the cached positions of the items that
+     * come before `index` and clear the cached positions of every item from
+     * `index` onward so that the next call to `pack` only recalculates those.
+     *
+     * @param {Number} index - The index in the layout_items array of the
+     * first item to recalculate.
+     * @param {Object} [layout = undefined] - The layout to switch the packer
+     * to; the packer keeps its layout when this is not set.
+     */
+    function reflow_from(index = grid_utils.required_arg('index'), layout = undefined)
+    {
+        packer.reset(layout);
+        for (let i = 0; i < layout_items.length; i++)
+        {
+            const item = layout_items[i];
+            if (i < index && item.coords.y === undefined)
+            {
+                // This item hasn't been packed yet so there is nothing
+                // cached to rebuild the column sizes from.
+                index = i;
+            }
+
+            if (i < index)
+            {
+                packer.skip({
+                    x: item.coords.x,
+                    y: item.coords.y,
+                    width: item.width,
+                    height: item.height,
+                    column: item.column,
+                    span: item.span,
+                });
+            }
+            else
+            {
+                item.coords.x = undefined;
+                item.coords.y = undefined;
+                item.height = undefined;
+                item.width = undefined;
+                item.column = undefined;
+                item.span = undefined;
+            }
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Pack the grid by calculating the position of each grid-item element,
+     * caching those values and updating the DOM with the calculated values
+     * if `render` is set to `true`.
+     *
+     * @param {Boolean} [obj.render = true] - If set to false the function will
+     * not update the DOM.
+     * @param {Boolean} [obj.show_items = false] - If set to true the function
+     * will make all grid items visible either by animating them or by setting
+     * opacity to 1. This is to prevent the function from unnecessarily doing
+     * the update.
+     * @param {Number} [obj.container_width = undefined] - The width that full
+     * width layouts have to fit in and that percentages are relative to.
+     * @param {Number} [obj.root_font_size = 16] - The font size that `rem`
+     * and `em` values are relative to.
+     * @param {Boolean} [obj.hydrate = false] - Adopt the positions that were
+     * pre-rendered with `render_layout_css` instead of rendering them. Full
+     * width layouts are still rendered, but without animation, because the
+     * pre-rendered positions depend on the width of the viewport.
+     * @param {Array} [obj.priority_range = undefined] - The top and bottom
+     * of the part of the grid that is visible. Items that are moved within
+     * this part are always moved right away; see `write_chunk_size`.
+     * @param {Boolean} [obj.animate_items = true] - Set to false to show the
+     * items without animating them; for example, when restoring a grid.
+     *
+     * @returns {Array} - The grid item elements that were not visible before
+     * and have now been made visible.
+     */
+    function pack({
+        render = true,
+        show_items = false,
+        container_width = undefined,
+        root_font_size = 16,
+        hydrate = false,
+        priority_range = undefined,
+        animate_items = true,
+    } = {
+        render: true,
+        show_items: false,
+        container_width: undefined,
+        root_font_size: 16,
+        hydrate: false,
+        priority_range: undefined,
+        animate_items: true,
+    })
+    {
+        const layout = grid_layout.resolve_layout(layout_config, container_width, root_font_size);
+        layout.stamps = resolve_stamps(layout, container_width, root_font_size);
+        const stamp_rects = JSON.stringify(layout.stamps.map((stamp) => [
+            stamp.column,
+            stamp.span,
+            stamp.y,
+            stamp.height,
+        ]));
+        // Recalculate the entire grid when the column width, the gutters or
+        // the stamps have changed; for example, because the root font size
+        // or the width of a full width grid has changed. The rows of a
+        // justified layout depend on the items after them; so they are
+        // always recalculated.
+        const reflow_all = (
+            layout.mode === 'justified'
+            || packed_layout === undefined
+            || layout.column_width !== packed_layout.column_width
+            || layout.gutter !== packed_layout.gutter
+            || layout.x_gutter !== packed_layout.x_gutter
+            || stamp_rects !== packed_stamps
+        );
+        packed_layout = layout;
+        packed_stamps = stamp_rects;
+        const adopt_rendered = hydrate && depends_on_container_width === false;
+        if (adopt_rendered)
+        {
+            render = false;
+        }
+
+        // Step 1.
+        // This has to happen first otherwise there might be some
+        // unexpected behaviour. The width of a horizontal grid is only known
+        // once the items have been placed; see step 4.
+        if (render && orientation === 'vertical')
+        {
+            render_width(layout.grid_width);
+        }
+
+        if (reflow_all)
+        {
+            packer.reset(layout);
+        }
+        else if (is_restored)
+        {
+            reflow_from(layout_items.length, layout);
+        }
+        is_restored = false;
+
+        if (render && filter_predicate)
+        {
+            hide_filtered_out_items();
+        }
+
+        // Step 2. Calculate the grid. Skip the calculation if the values
+        // are already stored.
+        const placed_count = place_items(layout, reflow_all);
+
+        // Step 3. Update the DOM. Items of virtualized grids only have an
+        // element while they are visible. The positions of items that are
+        // already visible are written in chunks; the first chunk and the
+        // items that are moved within the visible part of the grid right
+        // away, the rest in the next animation frames. The chunks of the
+        // other layouts would move the elements back to where they were.
+        cancel_deferred_writes(render);
+        const deferred_items = [];
+        let written_count = 0;
+        let delay = 0;
+        const shown_elements = [];
+        for (let i = 0; i < placed_count; i++)
+        {
+            const item = layout_items[i];
+            if (render && item.element)
+            {
+                const is_hidden = item.element.style.display === 'none';
+                const is_visible = item.is_showing && show_items === false && is_hidden === false;
+                const is_in_priority_range = priority_range !== undefined && (
+                    item.coords.y < priority_range[1]
+                    && item.coords.y + item.height > priority_range[0]
+                );
+                if (is_visible && written_count >= write_chunk_size && is_in_priority_range === false)
+                {
+                    deferred_items.push(item);
+                    continue;
+                }
+                if (write_position(item))
+                {
+                    written_count++;
+                }
+
+                if (is_visible === false)
+                {
+                    // Another layout (or grid in a GridCollection) might
+                    // have already shown the element.
+                    const was_showing = is_hidden === false && (
+                        item.element.style.opacity === '1'
+                        || item.element.classList.contains(animate_css_class)
+                    );
+                    if (was_showing === false)
+                    {
+                        shown_elements.push(item.element);
+                        item.element.style.display = '';
+                        if (animate && animate_items && hydrate === false)
+                        {
+                            if (animate_cols === false)
+                            {
+                                item.animate_delay = delay.toString() + 'ms';
+                                delay += animate_delay;
+                            }
+                            item.element.style.animationDelay = item.animate_delay;
+                            if (item.element.classList.contains(animate_css_class))
+                            {
+                                // Restart the animation for items that were
+                                // filtered out.
+                                item.element.classList.remove(animate_css_class);
+                                void item.element.offsetWidth;
+                            }
+                            item.element.classList.add(animate_css_class);
+                        }
+                        else
+                        {
+                            item.element.style.opacity = 1;
+                        }
+                    }
+                    item.is_showing = true;
+                }
+            }
+            else if (adopt_rendered)
+            {
+                // Already visible because of the pre-rendered CSS. Setting
+                // the opacity marks the element as visible for the other
+                // layouts too; so that they don't animate it again.
+                item.element.style.opacity = 1;
+                item.is_showing = true;
+            }
+        }
+
+        if (deferred_items.length > 0)
+        {
+            write_deferred_positions(deferred_items);
+        }
+
+        // Step 4.
+        if (render)
+        {
+            // Stamps are always positioned with offsets; they aren't moved
+            // or animated.
+            const stamp_placements = packer.get_stamps();
+            for (let j = 0; j < stamp_placements.length; j++)
+            {
+                const element = stamp_elements[j];
+                if (element)
+                {
+                    const stamp_placement = stamp_placements[j];
+                    element.style.width = `${stamp_placement.width}px`;
+                    element.style.height = `${stamp_placement.height}px`;
+                    element.style.top = `${stamp_placement.y}px`;
+                    element.style[rtl ? 'right' : 'left'] = `${stamp_placement.x}px`;
+                    element.style.display = '';
+                }
+            }
+
+            if (orientation === 'horizontal')
+            {
+                render_width(packer.get_width());
+            }
+            if (set_height)
+            {
+                const tallest_height = packer.get_height();
+                grid_element.style.height = `${tallest_height}px`;
+            }
+            else
+            {
+                grid_element.style.height = '';
+            }
+        }
+        return shown_elements;
+    }
+
+    /**
+     * @private
+     *
+     * Calculate the positions of the items that don't have a cached
+     * position; or of all the items when the whole grid is reflowed. The
+     * items that have to be measured are measured first; so that the
+     * browser only has to lay out the page once for all of them.
+     *
+     * @param {Object} layout - The layout that is being packed.
+     * @param {Boolean} reflow_all - Whether the packer has been reset.
+     *
+     * @returns {Number} - The number of items that have been placed; the
+     * items after an item that is still loading aren't placed yet.
+     */
+    function place_items(layout, reflow_all)
+    {
+        const needs_placement = (item) => (
+            reflow_all
+            || item.coords.x === undefined
+            || item.coords.y === undefined
+            || item.height === undefined
+        );
+
+        let placed_count = layout_items.findIndex((item) => item.is_pending);
+        if (placed_count === -1)
+        {
+            placed_count = layout_items.length;
+        }
+        // Keep the order; the items after an image that is still loading are
+        // laid out once it has loaded.
+        const placeable_items = layout_items.slice(0, placed_count);
+        measured_heights = measure_heights(placeable_items.filter(
+            (item) => item.measure && item.element && needs_placement(item)
+        ));
+
+        for (let i = 0; i < placed_count; i++)
+        {
+            const item = layout_items[i];
+            if (needs_placement(item) === false)
+            {
+                continue;
+            }
+            const record = get_record(item, true);
+            const item_placement = packer.place(record, find_next_records(i, layout));
+            item.coords.x = item_placement.x;
+            item.coords.y = item_placement.y;
+            item.height = item_placement.height;
+            item.width = item_placement.width;
+            item.column = item_placement.column;
+            item.span = item_placement.span;
+
+            if (animate_cols)
+            {
+                item.animate_delay = (animate_delay * item.column).toString() + 'ms';
+            }
+        }
+        measured_heights = new Map();
+        return placed_count;
+    }
+
+    /**
+     * @private
+     *
+     * Measure the heights of items at the width of their columns; the same
+     * as `measure_height` but all the widths are set before any of the
+     * heights are read.
+     *
+     * @param {Array} measured_items - The grid items to measure.
+     *
+     * @returns {Map} - The height of each item.
+     */
+    function measure_heights(measured_items)
+    {
+        const previous_sizes = measured_items.map((item) =>
+        {
+            const style = item.element.style;
+            const previous_size = [style.width, style.height];
+            style.width = `${packer.get_item_width(item.colspan)}px`;
+            style.height = '';
+            return previous_size;
+        });
+        const heights = new Map();
+        for (let i = 0; i < measured_items.length; i++)
+        {
+            heights.set(measured_items[i], measured_items[i].element.offsetHeight);
+        }
+        for (let i = 0; i < measured_items.length; i++)
+        {
+            const style = measured_items[i].element.style;
+            [style.width, style.height] = previous_sizes[i];
+        }
+        return heights;
+    }
+
+    /**
+     * @private
+     *
+     * Write the position and size of an item to the style of its element;
+     * unless they were already written.
+     *
+     * @param {Object} item - A grid item that has been placed.
+     *
+     * @returns {Boolean} - Whether the style of the element was changed.
+     */
+    function write_position(item)
+    {
+        const element = item.element;
+        const key = [item.coords.x, item.coords.y, item.width, item.height, use_translate, rtl].join();
+        if (rendered_positions.get(element) === key)
+        {
+            return false;
+        }
+        rendered_positions.set(element, key);
+
+        element.style.width = `${item.width}px`;
+        element.style.height = `${item.height}px`;
+        if (use_translate)
+        {
+            // Right-to-left layouts translate the items to the left.
+            const x = rtl ? item.coords.x * -1 : item.coords.x;
+            element.style.transform = `translate(${x}px, ${item.coords.y}px)`;
+        }
+        else
+        {
+            element.style.top = `${item.coords.y}px`;
+            if (rtl)
+            {
+                element.style.right = `${item.coords.x}px`;
+            }
+            else
+            {
+                element.style.left = `${item.coords.x}px`;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     *
+     * Write the positions of the items in chunks of `write_chunk_size`; one
+     * chunk per animation frame.
+     *
+     * @param {Array} deferred_items - The grid items to write.
+     */
+    function write_deferred_positions(deferred_items)
+    {
+        write_frame = window.requestAnimationFrame(() =>
+        {
+            write_frame = undefined;
+            deferred_write_frames.delete(grid_element);
+            let written_count = 0;
+            while (deferred_items.length > 0 && written_count < write_chunk_size)
+            {
+                const item = deferred_items.shift();
+                // Virtualized items lose their element when they are
+                // scrolled out of view.
+                if (item.element && write_position(item))
+                {
+                    written_count++;
+                }
+            }
+            if (deferred_items.length > 0)
+            {
+                write_deferred_positions(deferred_items);
+            }
+        });
+        deferred_write_frames.set(grid_element, write_frame);
+    }
+
+    /**
+     * @private
+     *
+     * Stop writing the positions of a previous pack; the next pack writes
+     * all the positions that have changed.
+     *
+     * @param {Boolean} [other_grids = false] - Also stop the writes of the
+     * other grids that render into the grid element.
+     */
+    function cancel_deferred_writes(other_grids = false)
+    {
+        const frame = deferred_write_frames.get(grid_element);
+        if (frame !== undefined && (other_grids || frame === write_frame))
+        {
+            window.cancelAnimationFrame(frame);
+            deferred_write_frames.delete(grid_element);
+        }
+        write_frame = undefined;
+    }
+
+    /**
+     * @private
+     *
+     * Set the width of the grid element and of the mirror width container.
+     *
+     * @param {Number} width - The width of the grid.
+     */
+    function render_width(width)
+    {
+        if (set_width)
+        {
+            grid_element.style.width = `${width}px`;
+            if (mirror_width_container)
+            {
+                mirror_width_container.style.width = `${width}px`;
+                // Set the opacity to 1. If the element's opacity is
+                // not set to 0 the position of the element will not
+                // be correct. Only show the element when it is
+                // correctly placed.
+                mirror_width_container.style.opacity = '1';
+            }
+        }
+        else
+        {
+            grid_element.style.width = '';
+            if (mirror_width_container)
+            {
+                mirror_width_container.style.width = '';
+            }
+        }
+    }
+
+    /**
+     * @private
+     *
+     * @param {Object} item - A grid item.
+     * @param {Boolean} measure - Whether to measure items that don't have a
+     * known size.
+     *
+     * @returns {Object} - The `{width, height, colspan}` record of the item
+     * for the packer. Items that aren't measured have no size.
+     */
+    function get_record(item, measure)
+    {
+        const record = {
+            width: item.original_width,
+            height: item.original_height,
+            colspan: item.colspan,
+        };
+        if (item.measure && measure)
+        {
+            record.width = packer.get_item_width(item.colspan);
+            record.height = measured_heights.has(item)
+                ? measured_heights.get(item)
+                : measure_height(item.element, record.width);
+        }
+        return record;
+    }
+
+    /**
+     * @private
+     *
+     * The records of the items after an item; for the `balanced` placement
+     * and justified rows that look ahead. Stops at the first item that is
+     * still loading. Only justified rows measure the items.
+     *
+     * @param {Number} index - The index in the layout_items array of the
+     * item that is being placed.
+     * @param {Object} layout - The layout that is being packed.
+     */
+    function* find_next_records(index, layout)
+    {
+        if (layout.placement !== 'balanced' && layout.mode !== 'justified')
+        {
+            return;
+        }
+        for (let i = index + 1; i < layout_items.length && layout_items[i].is_pending === false; i++)
+        {
+            yield get_record(layout_items[i], layout.mode === 'justified');
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Hide the elements of the items that are filtered out.
+     */
+    function hide_filtered_out_items()
+    {
+        for (let i = 0; i < items.length; i++)
+        {
+            const item = items[i];
+            if (item.is_filtered_out && item.element && item.element.style.display !== 'none')
+            {
+                item.element.style.display = 'none';
+                item.is_showing = false;
+            }
+        }
+    }
+
+    /**
+     * @private
+     *
+     * @returns {Number} - The height of the grid as it was last packed.
+     */
+    function get_height()
+    {
+        return packer.get_height();
+    }
+
+    /**
+     * @private
+     *
+     * @returns {Array} - The items that have been laid out in reading order;
+     * from top to bottom and then from the start of the row to the end (the
+     * x coordinate of right-to-left layouts starts on the right). Horizontal
+     * layouts are read from the start to the end and then from top to
+     * bottom.
+     */
+    function get_reading_order()
+    {
+        const placed_items = layout_items.filter((item) => item.coords.y !== undefined);
+        const [first_axis, second_axis] = orientation === 'horizontal' ? ['x', 'y'] : ['y', 'x'];
+        return placed_items.sort((a, b) =>
+        {
+            if (a.coords[first_axis] !== b.coords[first_axis])
+            {
+                return a.coords[first_axis] - b.coords[first_axis];
+            }
+            return a.coords[second_axis] - b.coords[second_axis];
+        });
+    }
+
+    /**
+     * @private
+     *
+     * @returns {Array} - The height of each column as it was last packed.
+     */
+    function get_column_heights()
+    {
+        return packer.get_column_heights();
+    }
+
+    /**
+     * @private
+     *
+     * Add new items to the grid; does not actually append items to a DOM element.
+     * After calling this function you must also call the pack function on the
+     * instance to calculate the positions for the new elements that have been
+     * added.
+     *
+     * @param {Array} elements - The new HTML
+     * elements to add to the grid's items.
+     * @param {Number} [obj.index = undefined] - The index to insert the new
+     * items at. The new items are appended when this is not set.
+     */
+    function update({
+        elements = grid_utils.required_arg('elements'),
+        index = undefined,
+    })
+    {
+        if (index === undefined)
+        {
+            add_new_items(elements);
+        }
+        else
+        {
+            insert_items(elements, index);
+        }
+    }
+
+    /**
+     * @private
+     *
+     * @returns {Object} - The state of the grid as plain data:
+     * `{sizes, order, layout, positions}`. `sizes` is the `[width, height]`
+     * of each item in the order the items were added in (null for items
+     * that are measured), `order` the indexes of the items in the order
+     * they are laid out in (without the items that are filtered out),
+     * `layout` the settings the positions were calculated with (null when
+     * the grid hasn't been packed yet) and `positions` the
+     * `[x, y, width, height, column, span]` of the items that have been
+     * laid out; in the same order as `order`.
+     */
+    function serialize()
+    {
+        const indexes = new Map(items.map((item, index) => [item, index]));
+        const positions = [];
+        for (let i = 0; i < layout_items.length; i++)
+        {
+            const item = layout_items[i];
+            if (item.coords.y === undefined)
+            {
+                break;
+            }
+            positions.push([item.coords.x, item.coords.y, item.width, item.height, item.column, item.span]);
+        }
+        const size = (value) => (Number.isFinite(value) ? value : null);
+        return {
+            sizes: items.map((item) => [size(item.original_width), size(item.original_height)]),
+            order: layout_items.map((item) => indexes.get(item)),
+            layout: packed_layout === undefined ? null : {
+                column_width: packed_layout.column_width,
+                gutter: packed_layout.gutter,
+                x_gutter: packed_layout.x_gutter,
+                stamps: packed_stamps,
+            },
+            positions: positions,
+        };
+    }
+
+    /**
+     * @private
+     *
+     * Use the order and the positions of a serialized grid instead of
+     * calculating them again; see `serialize`. The next pack only calculates
+     * the positions again when the layout has changed since then.
+     *
+     * @param {Array} order - The indexes of the items in the order they are
+     * laid out in; items that are left out are filtered out.
+     * @param {Object} layout - The `layout` of the serialized grid.
+     * @param {Array} positions - The `positions` of the serialized grid.
+     */
+    function restore(order, layout, positions)
+    {
+        restore_order(order);
+        if (layout === null)
+        {
+            return;
+        }
+        for (let i = 0; i < layout_items.length; i++)
+        {
+            const item = layout_items[i];
+            const position = positions[i] || [];
+            [item.coords.x, item.coords.y, item.width, item.height, item.column, item.span] = position;
+            if (animate_cols && item.column !== undefined)
+            {
+                item.animate_delay = (animate_delay * item.column).toString() + 'ms';
+            }
+        }
+        packed_layout = {
+            column_width: layout.column_width,
+            gutter: layout.gutter,
+            x_gutter: layout.x_gutter,
+        };
+        packed_stamps = layout.stamps;
+        is_restored = true;
+    }
+
+    /**
+     * @private
+     *
+     * Lay out the items in the given order with a filter and a sort compare
+     * function; so that items that are added later are laid out after them
+     * and the order can be changed again with `set_filter` and `set_sort`.
+     *
+     * @param {Array} order - The indexes of the items in the order they are
+     * laid out in.
+     */
+    function restore_order(order)
+    {
+        const is_added_order = order.length === items.length && order.every((index, rank) => index === rank);
+        if (is_added_order && ! filter_predicate && ! sort_compare)
+        {
+            return;
+        }
+        const ranks = new Map(order.map((index, rank) => [items[index].element, rank]));
+        const left_out = new Set(items.filter((item) => ranks.has(item.element) === false).map((item) => item.element));
+        const rank_of = (element) => (ranks.has(element) ? ranks.get(element) : order.length);
+        filter_predicate = left_out.size > 0 ? (element) => left_out.has(element) === false : null;
+        sort_compare = (a, b) => rank_of(a) - rank_of(b);
+        for (let i = 0; i < items.length; i++)
+        {
+            items[i].is_filtered_out = is_filtered_out(items[i].element);
+        }
+        rebuild_layout_items();
+    }
+
+    /**
+     * @private
+     *
+     * Remove the inline styles and the animation CSS class that were set on
+     * the grid items and forget about the items.
+     */
+    function destroy()
+    {
+        cancel_deferred_writes();
+        for (let i = 0; i < items.length; i++)
+        {
+            if (! items[i].element)
+            {
+                continue;
+            }
+            rendered_positions.delete(items[i].element);
+            const style = items[i].element.style;
+            style.width = '';
+            style.height = '';
+            style.top = '';
+            style.left = '';
+            style.right = '';
+            style.transform = '';
+            style.opacity = '';
+            style.display = '';
+            style.animationDelay = '';
+            items[i].element.classList.remove(animate_css_class);
+        }
+        for (let i = 0; i < stamp_elements.length; i++)
+        {
+            if (stamp_elements[i])
+            {
+                const style = stamp_elements[i].style;
+                style.width = '';
+                style.height = '';
+                style.top = '';
+                style.left = '';
+                style.right = '';
+                style.display = '';
+            }
+        }
+        items.length = 0;
+        layout_items = items;
+        filter_predicate = null;
+        sort_compare = null;
+        known_elements = new WeakSet();
+        packer.reset();
+    }
+
+    return {
+        add_new_items: add_new_items,
+        add_records: add_records,
+        set_element: set_element,
+        find_items_in_range: find_items_in_range,
+        get_item: get_item,
+        insert_items: insert_items,
+        remove_items: remove_items,
+        set_filter: set_filter,
+        set_sort: set_sort,
+        pack: pack,
+        update: update,
+        destroy: destroy,
+        get_height: get_height,
+        get_column_heights: get_column_heights,
+        get_reading_order: get_reading_order,
+        has_element: has_element,
+        serialize: serialize,
+        restore: restore,
+
+        breakpoint: breakpoint,
+        stamp_elements: stamp_elements,
+        full_width: full_width,
+        full_width_with_outside_gutters: full_width_with_outside_gutters,
+        depends_on_container_width: depends_on_container_width,
+        orientation: orientation,
+    };
+}
+
+
+
+
+/**
+ * @class
+ *
+ * A responsive grid that consists of a bunch of non-responsive grids; `Grid`
+ * objects.
+ *
+ * @throws {TypeError} - When the new keyword is not used to instantiate a new
+ * `StaggeredGrid` instance.
+ * @throws {GridConfigError} - When the `grid_id` doesn't match an element in the DOM
+ * or when `strict` is set and the layouts or the grid items have problems.
+ */
+function StaggeredGrid({
+    layouts = [
+        {
+            number_of_cols: 1,
+            column_width: 100,
+            gutter: 20,
+            x_gutter: 20,
+            breakpoint: 0,
+            full_width: true,
+            full_width_with_outside_gutters: false,
+        },
+        {
+            number_of_cols: 2,
+            column_width: 400,
+            gutter: 20,
+            x_gutter: 20,
+            breakpoint: 900,
+        },
+        {
+            number_of_cols: 3,
+            column_width: 420,
+            gutter: 25,
+            x_gutter: 25,
+            breakpoint: 1350,
+            // fixed_width: 400,
+        },
+    ],
+    grid_id = 'staggered-grid',
+    mirror_width_container_id = '',
+
+    set_width = true,
+    set_height = true,
+    min_width_media_queries = true,
+
+    animate = false,
+    animate_cols = false,
+    animate_delay = 0,
+    animate_css_class = 'animate',
+
+    use_translate = false,
+    rtl = false,
+    active = true,
+    horizontal_order = false,
+    placement = undefined,
+    on_duplicate = 'ignore',
+    hydrate = false,
+    virtualize = undefined,
+    scroll_container_id = '',
+    breakpoint_source = 'viewport',
+    breakpoint_container_id = '',
+    measure_items = false,
+    transition = false,
+    observe = false,
+    infinite_scroll = undefined,
+    keyboard_navigation = false,
+    set_aria = false,
+    write_chunk_size = Infinity,
+    scroll_anchoring = true,
+    strict = false,
+})
+{
+    if (! new.target)
+    {
+        throw new TypeError('Object cannot be created without the new keyword');
+    }
+
+    const grids = [];
+    // The breakpoint of each grid in pixels.
+    const breakpoints = [];
+    const media_queries = [];
+    const grid_element = document.getElementById(grid_id);
+    let mirror_width_container = undefined;
+    if (mirror_width_container_id)
+    {
+        mirror_width_container = document.getElementById(mirror_width_container_id);
+    }
+    let scroll_container = undefined;
+    if (scroll_container_id)
+    {
+        scroll_container = document.getElementById(scroll_container_id);
+        if (! scroll_container)
+        {
+            throw new GridConfigError('No scroll container found in the DOM for StaggeredGrid.');
+        }
+    }
+    // The elements of a virtualized grid that are in the DOM, by index.
+    const mounted_elements = new Map();
+    const recycled_elements = [];
+    // Mount and unmount the elements of a virtualized grid while scrolling.
+    const throttled_mount_visible_items = grid_utils.throttle_frame(() =>
+    {
+        if (destroyed || active === false)
+        {
+            return;
+        }
+        const grid = find_matching_grid();
+        if (grid)
+        {
+            const shown_elements = mount_visible_items(grid);
+            for (let i = 0; i < shown_elements.length; i++)
+            {
+                dispatch('itemshown', {element: shown_elements[i]});
+            }
+        }
+    });
+    // The items of the rendered grid in reading order and the item that can
+    // be focused with the tab key; see `keyboard_navigation` and `set_aria`.
+    let reading_order = [];
+    let reading_orientation = 'vertical';
+    let focusable_element = undefined;
+    // An element at the end of the grid that loads more items when it is
+    // scrolled into view; see `infinite_scroll`.
+    let sentinel = undefined;
+    let sentinel_observer = undefined;
+    let is_loading = false;
+    let has_more = true;
+    // Watches the grid element for added and removed grid items; see
+    // `observe`.
+    let mutation_observer = undefined;
+    // The FLIP animations that are playing, by element; see `transition`.
+    const running_transitions = new Map();
+    // Pack the grid again when the images of items without a size have
+    // loaded; see `measure_items`.
+    const throttled_repack = grid_utils.throttle_frame(() =>
+    {
+        if (destroyed === false && first_pack === false)
+        {
+            pack();
+        }
+    });
+    let first_pack = true;
+    // Only the first time the grid is rendered; see `render_layout_css`.
+    let hydrating = hydrate;
+    // Shows the items without animation while the grid is restored; see
+    // `restore`.
+    let restoring = false;
+    // The item to keep in place the next time the grid is rendered; set by
+    // `GridCollection.set_active_grid`. See `scroll_anchoring`.
+    let pending_scroll_anchor = undefined;
+    let destroyed = false;
+    let rendered_layout = undefined;
+    // Event listeners added with `on`; so that they can be removed on destroy.
+    const listeners = [];
+
+    if (! grid_element)
+    {
+        throw new GridConfigError('No grid element found in the DOM for StaggeredGrid.');
+    }
+
+    if (['viewport', 'container'].includes(breakpoint_source) === false)
+    {
+        throw new GridConfigError(
+            `Invalid breakpoint_source value (${breakpoint_source}); `
+            + 'use either viewport or container.'
+        );
+    }
+    // The element whose width decides the layout when the breakpoint source
+    // is the container; the parent of the grid element by default.
+    let breakpoint_container = undefined;
+    let resize_observer = undefined;
+    if (breakpoint_source === 'container')
+    {
+        breakpoint_container = grid_element.parentElement;
+        if (breakpoint_container_id)
+        {
+            breakpoint_container = document.getElementById(breakpoint_container_id);
+            if (! breakpoint_container)
+            {
+                throw new GridConfigError('No breakpoint container found in the DOM for StaggeredGrid.');
+            }
+        }
+    }
+    // The font size that rem and em values are relative to. An element with
+    // a width of 1rem is observed to find out when the root font size changes.
+    let root_font_size = read_root_font_size();
+    let font_size_probe = undefined;
+    let font_size_observer = undefined;
+
+    function init()
+    {
+        const [item_problems, elements] = find_item_problems(virtualize ? [] : grid_element.children);
+        report_problems(find_config_problems().concat(item_problems));
+        check_settings();
+        const prefers_reduced_motion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        if (prefers_reduced_motion.matches)
+        {
+            animate = false;
+            animate_cols = false;
+            transition = false;
+        }
+        if (transition)
+        {
+            transition = Object.assign({
+                duration: 300,
+                easing: 'ease',
+            }, transition === true ? {} : transition);
+        }
+        if (scroll_anchoring)
+        {
+            scroll_anchoring = Object.assign({
+                prefer_focused: true,
+            }, scroll_anchoring === true ? {} : scroll_anchoring);
+        }
+        if (virtualize)
+        {
+            virtualize = Object.assign({
+                overscan: 500,
+                recycle: false,
+            }, virtualize);
+        }
+        if (infinite_scroll)
+        {
+            infinite_scroll = Object.assign({
+                threshold: 500,
+                measure_from: 'shortest',
+            }, infinite_scroll);
+        }
+        // A grid can still throw; for example, when the element of a stamp
+        // doesn't exist. So the grids are created before anything is
+        // added to the DOM or listened to.
+        const new_grids = [];
+        for (let i = 0; i < layouts.length; i++)
+        {
+            const layout = layouts[i];
+            let conf = {
+                grid_element: grid_element,
+                mirror_width_container: mirror_width_container,
+                set_width: set_width,
+                set_height: set_height,
+                animate: animate,
+                animate_cols: animate_cols,
+                animate_delay: animate_delay,
+                animate_css_class: animate_css_class,
+                use_translate: use_translate,
+                rtl: rtl,
+                horizontal_order: horizontal_order,
+                placement: placement,
+                on_duplicate: on_duplicate,
+                measure_items: measure_items,
+                on_item_ready: throttled_repack,
+                // Transitions start from the positions of all the items and
+                // a virtualized grid only has the visible elements.
+                write_chunk_size: transition || virtualize ? Infinity : write_chunk_size,
+            };
+            conf = Object.assign(conf, layout);
+            const grid = new Grid(conf);
+            if (virtualize)
+            {
+                grid.add_records(virtualize.sizes);
+            }
+            else
+            {
+                grid.add_new_items(elements);
+            }
+            new_grids.push(grid);
+        }
+        // The media queries are only added once every grid has been created.
+        for (let i = 0; i < new_grids.length; i++)
+        {
+            push(new_grids[i]);
+        }
+
+        if (rtl && use_translate)
+        {
+            // Example of rtl CSS class being added to the grid element:
+            // .staggered-grid-rtl .grid-item {
+            //     right: 0;
+            // }
+            grid_element.classList.add('staggered-grid-rtl');
+        }
+        if (virtualize)
+        {
+            const scroll_target = scroll_container || window;
+            scroll_target.addEventListener('scroll', throttled_mount_visible_items, {passive: true});
+            window.addEventListener('resize', throttled_mount_visible_items, {passive: true});
+        }
+        if (infinite_scroll)
+        {
+            init_infinite_scroll();
+        }
+        if (keyboard_navigation)
+        {
+            grid_element.addEventListener('keydown', handle_keydown);
+            grid_element.addEventListener('focusin', handle_focusin);
+        }
+        if (observe)
+        {
+            mutation_observer = grid_utils.observe_grid_items(
+                grid_element,
+                (element) => grids.length > 0 && grids[0].has_element(element),
+                apply_mutations
+            );
+        }
+        if (breakpoint_container)
+        {
+            let observed_width = breakpoint_container.clientWidth;
+            // Pack in the next frame; changing the layout inside of the
+            // observer's callback can trigger another resize in the same frame.
+            const throttled_pack = grid_utils.throttle_frame(() =>
+            {
+                const width = breakpoint_container.clientWidth;
+                // Before the first pack the grid is left alone.
+                if (destroyed || first_pack || width === observed_width)
+                {
+                    return;
+                }
+                observed_width = width;
+                pack();
+            });
+            resize_observer = new ResizeObserver(throttled_pack);
+            resize_observer.observe(breakpoint_container);
+        }
+        if (uses_font_relative_lengths())
+        {
+            font_size_probe = document.createElement('div');
+            font_size_probe.setAttribute('aria-hidden', 'true');
+            font_size_probe.style.cssText = (
+                'position: absolute; visibility: hidden; pointer-events: none; '
+                + 'width: 1rem; height: 0; overflow: hidden;'
+            );
+            document.body.appendChild(font_size_probe);
+            font_size_observer = new ResizeObserver(grid_utils.throttle_frame(handle_root_font_size_change));
+            font_size_observer.observe(font_size_probe);
+        }
+    }
+    init();
+
+
+    /**
+     * @private
+     *
+     * @throws {GridError} - When this grid has already been destroyed.
+     */
+    function check_if_destroyed()
+    {
+        if (destroyed)
+        {
+            throw new GridError('The StaggeredGrid has been destroyed.');
+        }
+    }
+
+
+    /**
+     * @private
+     *
+     * @param {String} method - The name of the method being called.
+     *
+     * @throws {GridError} - When the grid is virtualized; the items of a
+     * virtualized grid can only be set with `virtualize.sizes`.
+     */
+    function check_if_not_virtualized(method)
+    {
+        if (virtualize)
+        {
+            throw new GridError(`${method} is not supported when the StaggeredGrid is virtualized.`);
+        }
+    }
+
+
+    /**
+     * @param {HTMLElement} element
+     *
+     * @returns {Boolean} - Whether the element has been added to the grid.
+     *
+     * @throws {GridError} - When the grid has been destroyed.
+     */
+    function has_element(element = grid_utils.required_arg('element'))
+    {
+        check_if_destroyed();
+        return grids.length > 0 && grids[0].has_element(element);
+    }
+
+    /**
+     * @private
+     *
+     * Add and remove the grid items that were added to or removed from the
+     * grid element; see `observe` and `grid_utils.observe_grid_items`.
+     *
+     * @param {Array} removed - The elements that were removed.
+     * @param {Array} runs - The elements that were added and their index.
+     */
+    function apply_mutations(removed, runs)
+    {
+        // The observer might have been disconnected while waiting.
+        if (destroyed)
+        {
+            return;
+        }
+        runs = leave_out_item_problems(runs);
+        for (let i = 0; i < grids.length; i++)
+        {
+            grids[i].remove_items(removed);
+            for (let j = 0; j < runs.length; j++)
+            {
+                grids[i].insert_items(runs[j][0], runs[j][1]);
+            }
+        }
+        // The new items are packed with the other items the first time the
+        // grid is packed.
+        if (first_pack === false)
+        {
+            pack();
+        }
+    }
+
+
+    /**
+     * @private
+     *
+     * Leave the added grid items that have problems out and warn about them;
+     * also when `strict` is set. Nothing can catch an error that is thrown in
+     * the animation frame that the mutations are applied in. Used by
+     * `apply_mutations` and `GridCollection.apply_mutations`.
+     *
+     * @param {Array} runs - The elements that were added and their index.
+     *
+     * @returns {Array} - The runs without the grid items that have problems;
+     * with the index of each run after the grid items that are left out.
+     */
+    function leave_out_item_problems(runs = grid_utils.required_arg('runs'))
+    {
+        const problems = [];
+        let left_out_count = 0;
+        runs = runs.map(([elements, index]) =>
+        {
+            const [run_problems, valid_elements] = find_item_problems(elements);
+            problems.push(...run_problems);
+            const run = [valid_elements, index - left_out_count];
+            left_out_count += elements.length - valid_elements.length;
+            return run;
+        });
+        if (problems.length > 0)
+        {
+            console.warn(`Invalid StaggeredGrid config:\n- ${problems.join('\n- ')}`);
+        }
+        return runs;
+    }
+
+
+    /**
+     * Set the state of this grid to active. This means that this grid is
+     * currently being used in the UI. This is really just when this grid
+     * is being used as part of a `GridCollection`. If the grid is not active
+     * then render is implicitly set to false and the DOM will not be updated.
+     *
+     * @param {Boolean} new_active - The active state to set the grid to.
+     *
+     * @throws {GridError} - When the grid has been destroyed.
+     */
+    function set_active(new_active)
+    {
+        check_if_destroyed();
+        active = new_active;
+    }
+
+
+    /**
+     * @private
+     *
+     * Add a new `Grid` object to the grids array.
+     *
+     * @param {Grid} grid - The grid to add.
+     */
+    function push(grid = grid_utils.required_arg(grid))
+    {
+        grids.push(grid);
+        breakpoints.push(resolve_breakpoint(grid.breakpoint));
+        add_media_query(breakpoints[breakpoints.length - 1]);
+    }
+
+    /**
+     * @private
+     *
+     * @param {Number} breakpoint - The breakpoint in pixels.
+     */
+    function add_media_query(breakpoint)
+    {
+        // The resize observer decides the layout in container mode.
+        if (breakpoint_container)
+        {
+            return;
+        }
+        let setting = 'max-width';
+        if (min_width_media_queries)
+        {
+            setting = 'min-width';
+        }
+        const query = window.matchMedia(`(${setting}: ${breakpoint}px)`);
+        query.addListener(pack);
+        media_queries.push(query);
+    }
+
+    /**
+     * @private
+     *
+     * @param {Number || String} breakpoint - The breakpoint of a layout.
+     *
+     * @returns {Number} - The breakpoint in pixels.
+     *
+     * @throws {GridConfigError} - When the breakpoint is a percentage or not
+     * a valid length.
+     */
+    function resolve_breakpoint(breakpoint)
+    {
+        if (typeof breakpoint === 'string' && breakpoint.trim().endsWith('%'))
+        {
+            throw new GridConfigError(`A breakpoint cannot be a percentage (${breakpoint}).`);
+        }
+        return grid_layout.resolve_length(breakpoint, undefined, root_font_size);
+    }
+
+    /**
+     * @private
+     *
+     * Check the settings of each layout and that the breakpoints of the
+     * layouts cover every width; see `strict`.
+     *
+     * @returns {Array} - A message for each problem; the messages about a
+     * layout start with its index in the layouts array.
+     */
+    function find_config_problems()
+    {
+        if (layouts.length === 0)
+        {
+            return ['There are no layouts.'];
+        }
+        const problems = [];
+        // The layout of each breakpoint in pixels.
+        const layout_indexes = new Map();
+        for (let i = 0; i < layouts.length; i++)
+        {
+            // The same settings as the grid of the layout gets.
+            const layout_config = Object.assign({
+                horizontal_order: horizontal_order,
+                placement: placement,
+            }, layouts[i]);
+            const layout_problems = grid_layout.find_layout_problems(layout_config, root_font_size);
+            // The default breakpoint of a `Grid`.
+            const breakpoint = layouts[i].breakpoint === undefined ? 1200 : layouts[i].breakpoint;
+            try
+            {
+                const pixels = resolve_breakpoint(breakpoint);
+                if (pixels < 0)
+                {
+                    layout_problems.push(`Invalid breakpoint value (${breakpoint}); use a length of at least 0.`);
+                }
+                else if (layout_indexes.has(pixels))
+                {
+                    layout_problems.push(
+                        `Same breakpoint (${pixels}px) as layouts[${layout_indexes.get(pixels)}]; `
+                        + 'only one of them is used.'
+                    );
+                }
+                else
+                {
+                    layout_indexes.set(pixels, i);
+                }
+            }
+            catch (error)
+            {
+                if (error instanceof GridConfigError === false)
+                {
+                    throw error;
+                }
+                layout_problems.push(error.message);
+            }
+            for (let j = 0; j < layout_problems.length; j++)
+            {
+                problems.push(`layouts[${i}]: ${layout_problems[j]}`);
+            }
+        }
+
+        // Max width media queries always match the narrowest width.
+        const lowest_breakpoint = Math.min(...layout_indexes.keys());
+        if (min_width_media_queries && layout_indexes.size > 0 && lowest_breakpoint > 0)
+        {
+            const source = breakpoint_container ? 'container' : 'viewport';
+            problems.push(
+                `No layout matches a ${source} narrower than ${lowest_breakpoint}px; `
+                + 'use a breakpoint of 0 for the smallest layout.'
+            );
+        }
+        return problems;
+    }
+
+    /**
+     * @private
+     *
+     * Check the settings that the grid can't work without; before anything
+     * is added to the DOM or listened to, so that nothing is left behind
+     * when the grid can't be created.
+     *
+     * @throws {GridConfigError} - When a virtualized grid has no sizes or no
+     * `render_item` function or is observed or scrolled infinitely, when
+     * `load_more` is not a function, when `measure_from` is not `shortest`
+     * or `tallest` or when a horizontal layout is virtualized or scrolled
+     * infinitely.
+     */
+    function check_settings()
+    {
+        if ((virtualize || infinite_scroll) && layouts.some((layout) => layout.orientation === 'horizontal'))
+        {
+            // Both follow the vertical scroll position.
+            throw new GridConfigError('Horizontal layouts can not be virtualized or scrolled infinitely.');
+        }
+        if (virtualize)
+        {
+            if (! Array.isArray(virtualize.sizes) || typeof virtualize.render_item !== 'function')
+            {
+                throw new GridConfigError(
+                    'A sizes array and a render_item function are required '
+                    + 'to virtualize the StaggeredGrid.'
+                );
+            }
+            if (observe)
+            {
+                throw new GridConfigError('A virtualized StaggeredGrid cannot be observed.');
+            }
+            if (infinite_scroll)
+            {
+                throw new GridConfigError('Infinite scroll cannot be used with a virtualized StaggeredGrid.');
+            }
+        }
+        if (infinite_scroll)
+        {
+            if (typeof infinite_scroll.load_more !== 'function')
+            {
+                throw new GridConfigError('A load_more function is required for infinite scroll.');
+            }
+            const measure_from = Object.assign({measure_from: 'shortest'}, infinite_scroll).measure_from;
+            if (['shortest', 'tallest'].includes(measure_from) === false)
+            {
+                throw new GridConfigError(
+                    `Invalid measure_from value (${measure_from}); `
+                    + 'use either shortest or tallest.'
+                );
+            }
+        }
+    }
+
+    /**
+     * @private
+     *
+     * @param {Array || NodeList || HTMLCollection} elements - The elements
+     * that are added to the grid.
+     *
+     * @returns {Array} - `[problems, elements]`; a message for each grid
+     * item with a size or a colspan that is missing or isn't a number, with
+     * the index of the grid item in the elements, and the elements without
+     * those grid items. They can't be laid out; so they are left out of the
+     * grid when `strict` is not set.
+     */
+    function find_item_problems(elements)
+    {
+        const problems = [];
+        const valid_elements = [];
+        const is_size = (value) => Number.isFinite(Number(value)) && Number(value) > 0;
+        let index = 0;
+        for (const element of Array.from(elements))
+        {
+            if (element.classList.contains('grid-item') === false)
+            {
+                valid_elements.push(element);
+                continue;
+            }
+            const dataset = element.dataset;
+            const item_problems = [];
+            if ((! dataset.width || ! dataset.height) && measure_items === false)
+            {
+                item_problems.push('missing data-width or data-height attribute.');
+            }
+            for (const setting of ['width', 'height'])
+            {
+                const value = dataset[setting];
+                if (value && is_size(value) === false)
+                {
+                    item_problems.push(`invalid data-${setting} value (${value}); use a number above 0.`);
+                }
+            }
+            if (dataset.colspan && (parseInt(dataset.colspan) >= 1) === false)
+            {
+                item_problems.push(`invalid data-colspan value (${dataset.colspan}); use a number above 0.`);
+            }
+
+            if (item_problems.length === 0)
+            {
+                valid_elements.push(element);
+            }
+            for (let i = 0; i < item_problems.length; i++)
+            {
+                problems.push(`Grid item ${index}: ${item_problems[i]}`);
+            }
+            index++;
+        }
+        return [problems, valid_elements];
+    }
+
+    /**
+     * @private
+     *
+     * Report all the problems that were found at once; see `strict`.
+     *
+     * @param {Array} problems - The messages of the problems.
+     *
+     * @throws {GridConfigError} - When there are problems and `strict` is
+     * set; the error contains the `problems`.
+     */
+    function report_problems(problems = grid_utils.required_arg('problems'))
+    {
+        if (problems.length === 0)
+        {
+            return;
+        }
+        const message = `Invalid StaggeredGrid config:\n- ${problems.join('\n- ')}`;
+        if (strict)
+        {
+            throw new GridConfigError(message, problems);
+        }
+        console.warn(message);
+    }
+
+    /**
+     * @private
+     *
+     * @returns {Boolean} - Whether any of the layouts or their stamps use rem
+     * or em values.
+     */
+    function uses_font_relative_lengths()
+    {
+        const settings = ['column_width', 'gutter', 'x_gutter', 'fixed_width', 'target_row_height', 'breakpoint'];
+        const is_font_relative = (value) => typeof value === 'string' && value.trim().endsWith('em');
+        for (let i = 0; i < layouts.length; i++)
+        {
+            for (let j = 0; j < settings.length; j++)
+            {
+                if (is_font_relative(layouts[i][settings[j]]))
+                {
+                    return true;
+                }
+            }
+            const stamps = layouts[i].stamps || [];
+            for (let j = 0; j < stamps.length; j++)
+            {
+                if (is_font_relative(stamps[j].y) || is_font_relative(stamps[j].height))
+                {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @private
+     *
+     * @returns {Number} - The font size of the root element in pixels.
+     */
+    function read_root_font_size()
+    {
+        const font_size = parseFloat(window.getComputedStyle(document.documentElement).fontSize);
+        return font_size || 16;
+    }
+
+    /**
+     * @private
+     *
+     * Resolve the breakpoints again and repack the grid when the root font
+     * size has changed. The lengths of the layouts are resolved each time the
+     * grid is packed.
+     */
+    function handle_root_font_size_change()
+    {
+        const font_size = read_root_font_size();
+        if (destroyed || font_size === root_font_size)
+        {
+            return;
+        }
+        root_font_size = font_size;
+        // Breakpoints in rem and em can end up on top of other breakpoints.
+        report_problems(find_config_problems());
+
+        for (let i = 0; i < media_queries.length; i++)
+        {
+            media_queries[i].removeListener(pack);
+        }
+        media_queries.length = 0;
+        for (let i = 0; i < grids.length; i++)
+        {
+            breakpoints[i] = resolve_breakpoint(grids[i].breakpoint);
+            add_media_query(breakpoints[i]);
+        }
+
+        // Before the first pack the grid is left alone.
+        if (first_pack === false)
+        {
+            pack();
+        }
+    }
+
+
+    /**
+     * Add an event listener for one of the grid's layout lifecycle events.
+     * The events are dispatched as DOM `CustomEvent` objects on the grid
+     * element; the event's `detail` always contains the `grid` that
+     * dispatched the event.
+     *
+     * - `beforepack`: Before the grid is rendered.
+     * - `layoutcomplete`: After the grid is rendered. The `detail` contains
+     *   the `height` of the grid and the `layout`.
+     * - `breakpointchange`: When a different layout is rendered. The `detail`
+     *   contains the `previous_layout` and the new `layout`.
+     * - `itemshown`: For each grid item that is made visible. The `detail`
+     *   contains the `element`.
+     * - `activegridchange`: Dispatched by `GridCollection.set_active_grid`.
+     *
+     * @param {String} type - The event type.
+     * @param {Function} handler - The event listener.
+     *
+     * @throws {GridError} - When the grid has been destroyed.
+     */
+    function on(
+        type = grid_utils.required_arg('type'),
+        handler = grid_utils.required_arg('handler')
+    )
+    {
+        check_if_destroyed();
+        grid_element.addEventListener(type, handler);
+        listeners.push([type, handler]);
+    }
+
+    /**
+     * Remove an event listener that was added with `on`.
+     *
+     * @param {String} type - The event type.
+     * @param {Function} handler - The event listener.
+     *
+     * @throws {GridError} - When the grid has been destroyed.
+     */
+    function off(
+        type = grid_utils.required_arg('type'),
+        handler = grid_utils.required_arg('handler')
+    )
+    {
+        check_if_destroyed();
+        grid_element.removeEventListener(type, handler);
+        for (let i = listeners.length - 1; i >= 0; i--)
+        {
+            if (listeners[i][0] === type && listeners[i][1] === handler)
+            {
+                listeners.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Dispatch a `CustomEvent` on the grid element.
+     *
+     * @param {String} type - The event type.
+     * @param {Object} [detail = {}] - Added to the event's `detail` along
+     * with the grid that dispatched the event.
+     */
+    function dispatch(type = grid_utils.required_arg('type'), detail = {})
+    {
+        const event = new CustomEvent(type, {
+            detail: Object.assign({grid: staggered_grid}, detail),
+        });
+        grid_element.dispatchEvent(event);
+    }
+
+
+    const debounced_pack = grid_utils.debounce(() =>
+    {
+        // The grid might have been destroyed while waiting.
+        if (destroyed === false)
+        {
+            pack();
+        }
+    }, 80);
+    let has_resize_listener = false;
+
+    /**
+     * Pack the grid by calculating the position of each grid-item element,
+     * caching those values and updating the DOM with the calculated values
+     * if `render` is set to `true`.
+     *
+     * @param {Boolean} [obj.render = true] - If set to false the function will
+     * not update the DOM. If active is set to false on the grid then render
+     * will automatically be set to false too.
+     * @param {Array || NodeList || HTMLCollection} [obj.elements = undefined]
+     * - New elements to add to the grid. Only used internally by the `update`
+     * and `insert` functions.
+     * @param {Number} [obj.index = undefined] - The index to insert the new
+     * elements at. Only used internally by the `insert` function.
+     *
+     * @throws {GridError} - When the grid has been destroyed.
+     */
+    function pack({
+        render = true,
+        elements = undefined,
+        index = undefined,
+    } = {
+        render: true,
+        elements: undefined,
+        index: undefined,
+    })
+    {
+        check_if_destroyed();
+        if (elements)
+        {
+            let problems = undefined;
+            [problems, elements] = find_item_problems(elements);
+            report_problems(problems);
+        }
+        if (active === false)
+        {
+            render = false;
+        }
+
+        // Find layout / media query target
+        // Pack the grid that matches the media query target.
+        const matching_query = find_matching_query();
+
+        for (let i = 0; i < grids.length; i++)
+        {
+            const grid = grids[i];
+            if (breakpoints[i] === matching_query)
+            {
+                const layout = layouts[i];
+                if (render)
+                {
+                    dispatch('beforepack', {layout: layout});
+                }
+
+                // In container mode the resize observer packs the grid.
+                const needs_resize_listener = (
+                    grid.depends_on_container_width
+                    && breakpoint_container === undefined
+                );
+                if (needs_resize_listener && has_resize_listener === false)
+                {
+                    window.addEventListener('resize', debounced_pack, {passive: true});
+                    has_resize_listener = true;
+                }
+                else if (needs_resize_listener === false && has_resize_listener === true)
+                {
+                    window.removeEventListener('resize', debounced_pack, {passive: true});
+                    has_resize_listener = false;
+                }
+
+                if (elements)
+                {
+                    grid.update({
+                        elements: elements,
+                        index: index,
+                    });
+                    // After calling update we must call pack too.
+                }
+                // Only items that were already visible are moved with a
+                // transition; new items use the `animate` setting.
+                let first_rects = undefined;
+                if (render && transition && first_pack === false)
+                {
+                    first_rects = measure_visible_items();
+                }
+                // The items move to completely different offsets after a
+                // breakpoint change or a switch to another grid of a
+                // `GridCollection`; see `set_scroll_anchor`.
+                let scroll_anchor = undefined;
+                if (render && restoring === false)
+                {
+                    scroll_anchor = pending_scroll_anchor;
+                    if (! scroll_anchor && layout !== rendered_layout)
+                    {
+                        scroll_anchor = find_scroll_anchor();
+                    }
+                    pending_scroll_anchor = undefined;
+                }
+                let shown_elements = grid.pack({
+                    render: render,
+                    show_items: first_pack,
+                    container_width: get_container_width(),
+                    root_font_size: root_font_size,
+                    hydrate: hydrating && render,
+                    priority_range: render && first_pack === false ? find_visible_range() : undefined,
+                    animate_items: restoring === false,
+                });
+
+                if (render)
+                {
+                    hydrating = false;
+                    // Before the visible items of a virtualized grid are
+                    // mounted; those depend on the scroll position.
+                    if (scroll_anchor)
+                    {
+                        keep_scroll_anchor(scroll_anchor);
+                    }
+                    if (virtualize)
+                    {
+                        shown_elements = shown_elements.concat(mount_visible_items(grid));
+                    }
+                    if (first_rects)
+                    {
+                        play_transitions(first_rects);
+                    }
+                    if (sentinel)
+                    {
+                        place_sentinel(grid);
+                    }
+                    if (keyboard_navigation || set_aria)
+                    {
+                        update_reading_order(grid);
+                    }
+                    if (layout !== rendered_layout)
+                    {
+                        hide_other_stamps(grid);
+                        dispatch('breakpointchange', {
+                            previous_layout: rendered_layout,
+                            layout: layout,
+                        });
+                        rendered_layout = layout;
+                    }
+                    for (let j = 0; j < shown_elements.length; j++)
+                    {
+                        dispatch('itemshown', {element: shown_elements[j]});
+                    }
+                    dispatch('layoutcomplete', {
+                        height: grid.get_height(),
+                        layout: layout,
+                    });
+                }
+                break;
+            }
+        }
+
+        // Only do this the first time the grid is packed or when the grid
+        // is being updated with new elements.
+        // Calculate all the other possible layouts in advance so
+        // we can save some performance on those calculations.
+        if (first_pack || elements)
+        {
+            for (let i = 0; i < grids.length; i++)
+            {
+                const grid = grids[i];
+                if (breakpoints[i] !== matching_query)
+                {
+                    if (elements)
+                    {
+                        grid.update({
+                            elements: elements,
+                            index: index,
+                        });
+                    }
+                    grid.pack({
+                        render: false,
+                        container_width: get_container_width(),
+                        root_font_size: root_font_size,
+                    });
+                }
+            }
+            first_pack = false;
+        }
+    }
+
+    /**
+     * Update the grid with new elements. Will automatically pack the grid.
+     * Keep in mind that this does not append new elements to a DOM element;
+     * it merely tells the grid that new elements have already been appended
+     * to the DOM and that the grid should calculate the positions for the new
+     * items and then update the DOM with the values for positioning.
+     *
+     * @param {Array || NodeList || HTMLCollection} elements - The new elements
+     * to add to the grid. They will not be added to the DOM; they should
+     * already be in the DOM.
+     * @param {Boolean} [obj.render = true]
+     *
+     * @throws {GridError} - When the grid has been destroyed or when an
+     * element has already been added to the grid and `on_duplicate` is set
+     * to `throw`.
+     */
+    function update({
+        elements = grid_utils.required_arg('elements'),
+        render = true,
+    })
+    {
+        check_if_destroyed();
+        check_if_not_virtualized('update');
+
+        // The `update` function is really just here to make it clearer about
+        // what you're doing when you're adding new elements to an already packed
+        // grid, because technically you could use the `pack` function on
+        // `StaggeredGrid` to do the update but it's more obvious as to what
+        // you're doing when you call this `update` function.
+        if (! elements)
+        {
+            console.warn('Trying to update StaggeredGrid with empty elements arg.');
+            return;
+        }
+        if (Array.isArray(elements) === false)
+        {
+            elements = Array.from(elements);
+        }
+        pack({
+            elements: elements,
+            render: render,
+        });
+    }
+
+    /**
+     * Insert new elements into the grid at the given index. Will
+     * automatically pack the grid. Only the new items and the items that
+     * follow them are recalculated in each of the layouts; the items before
+     * the index keep their cached positions. Like `update`, this does not
+     * add the elements to the DOM; they should already be in the DOM.
+     *
+     * @param {Array || NodeList || HTMLCollection} elements - The new elements
+     * to add to the grid.
+     * @param {Number} index - The position in the grid to insert the new
+     * elements at; 0 inserts them before the first grid item.
+     * @param {Boolean} [obj.render = true]
+     *
+     * @throws {GridError} - When the grid has been destroyed or when an
+     * element has already been added to the grid and `on_duplicate` is set
+     * to `throw`.
+     */
+    function insert({
+        elements = grid_utils.required_arg('elements'),
+        index = grid_utils.required_arg('index'),
+        render = true,
+    })
+    {
+        check_if_destroyed();
+        check_if_not_virtualized('insert');
+        if (! elements)
+        {
+            console.warn('Trying to insert empty elements arg into StaggeredGrid.');
+            return;
+        }
+        if (Array.isArray(elements) === false)
+        {
+            elements = Array.from(elements);
+        }
+        pack({
+            elements: elements,
+            index: index,
+            render: render,
+        });
+    }
+
+    /**
+     * Insert new elements before all the other grid items. The same as
+     * calling `insert` with an index of 0.
+     *
+     * @param {Array || NodeList || HTMLCollection} elements - The new elements
+     * to add to the grid.
+     * @param {Boolean} [obj.render = true]
+     */
+    function prepend({
+        elements = grid_utils.required_arg('elements'),
+        render = true,
+    })
+    {
+        insert({
+            elements: elements,
+            index: 0,
+            render: render,
+        });
+    }
+
+    /**
+     * Remove elements from the grid. Will automatically pack the grid. Only
+     * the items that follow the removed items are recalculated in each of the
+     * layouts. Keep in mind that this does not remove the elements from the
+     * DOM; you should remove them yourself.
+     *
+     * @param {Array || NodeList || HTMLCollection} elements - The elements
+     * to remove from the grid.
+     * @param {Boolean} [obj.render = true]
+     *
+     * @throws {GridError} - When the grid has been destroyed.
+     */
+    function remove({
+        elements = grid_utils.required_arg('elements'),
+        render = true,
+    })
+    {
+        check_if_destroyed();
+        check_if_not_virtualized('remove');
+        if (! elements)
+        {
+            console.warn('Trying to remove empty elements arg from StaggeredGrid.');
+            return;
+        }
+        if (Array.isArray(elements) === false)
+        {
+            elements = Array.from(elements);
+        }
+        for (let i = 0; i < grids.length; i++)
+        {
+            grids[i].remove_items(elements);
+        }
+        pack({render: render});
+    }
+
+    /**
+     * Only show the grid items whose elements match the predicate. The other
+     * items are hidden and the grid is packed with only the visible items.
+     * The order of the elements in the DOM is not changed. Will
+     * automatically pack the grid.
+     *
+     * @param {Function} [predicate = null] - Called with each grid item
+     * element; return `true` to show the item. Set to `null` to show all the
+     * items again.
+     *
+     * @throws {GridError} - When the grid has been destroyed or when the
+     * predicate is not a function or `null`.
+     */
+    function filter(predicate = null)
+    {
+        check_if_destroyed();
+        check_if_not_virtualized('filter');
+        if (predicate !== null && typeof predicate !== 'function')
+        {
+            throw new GridError('The filter predicate must be a function or null.');
+        }
+        for (let i = 0; i < grids.length; i++)
+        {
+            grids[i].set_filter(predicate);
+        }
+        pack();
+    }
+
+    /**
+     * Change the order of the grid items in the layout. The order of the
+     * elements in the DOM is not changed. Will automatically pack the grid.
+     *
+     * @param {Function} [compare_fn = null] - Called with two grid item
+     * elements; works the same as the compare function for `Array.sort`. Set
+     * to `null` to go back to the order in which the items were added.
+     *
+     * @throws {GridError} - When the grid has been destroyed or when the
+     * compare function is not a function or `null`.
+     */
+    function sort(compare_fn = null)
+    {
+        check_if_destroyed();
+        check_if_not_virtualized('sort');
+        if (compare_fn !== null && typeof compare_fn !== 'function')
+        {
+            throw new GridError('The sort compare function must be a function or null.');
+        }
+        for (let i = 0; i < grids.length; i++)
+        {
+            grids[i].set_sort(compare_fn);
+        }
+        pack();
+    }
+
+    /**
+     * Save the layout of the grid; for example, to restore it with `restore`
+     * when the user comes back to the page. The state is plain data that
+     * can be stored with `JSON.stringify`.
+     *
+     * @returns {Object} - `{version, breakpoint, sizes, order, layouts}`.
+     * `breakpoint` is the breakpoint of the layout that is rendered in
+     * pixels, `sizes` the size of each item in the order the items were
+     * added in, `order` the indexes of the items in the order they are laid
+     * out in and `layouts` the cached positions for each layout.
+     *
+     * @throws {GridError} - When the grid has been destroyed or is
+     * virtualized.
+     */
+    function serialize()
+    {
+        check_if_destroyed();
+        check_if_not_virtualized('serialize');
+
+        const states = grids.map((grid) => grid.serialize());
+        const rendered_index = layouts.indexOf(rendered_layout);
+        return {
+            version: 1,
+            breakpoint: rendered_index === -1 ? null : breakpoints[rendered_index],
+            sizes: states[0].sizes,
+            order: states[0].order,
+            layouts: states.map((state, i) => ({
+                breakpoint: breakpoints[i],
+                layout: state.layout,
+                positions: state.positions,
+            })),
+        };
+    }
+
+    /**
+     * Lay out the grid with a state from `serialize` instead of packing it;
+     * the items are shown right away without animation and the height of
+     * the grid is known immediately, so that the scroll position can be
+     * restored. Use it instead of the first call to `pack`. Layouts whose
+     * column width has changed since the state was saved (for example,
+     * full width layouts in a window with another width) are calculated
+     * again.
+     *
+     * @param {Object} state - A state returned by `serialize`.
+     *
+     * @throws {GridError} - When the grid has been destroyed or is
+     * virtualized, or when the state doesn't match the grid; for example,
+     * because the items or the layouts have changed since it was saved.
+     */
+    function restore(state = grid_utils.required_arg('state'))
+    {
+        check_if_destroyed();
+        check_if_not_virtualized('restore');
+
+        const current = grids[0].serialize();
+        const is_valid_order = (order) => (
+            Array.isArray(order)
+            && order.every((index) => Number.isInteger(index) && index >= 0 && index < current.sizes.length)
+            && new Set(order).size === order.length
+        );
+        const is_valid_layout = (layout_state, i) => (
+            layout_state
+            && layout_state.breakpoint === breakpoints[i]
+            && Array.isArray(layout_state.positions)
+            && layout_state.positions.length <= state.order.length
+            && layout_state.positions.every((position) => (
+                Array.isArray(position)
+                && position.length === 6
+                && position.every(Number.isFinite)
+            ))
+        );
+        const is_valid = (
+            state
+            && state.version === 1
+            && JSON.stringify(state.sizes) === JSON.stringify(current.sizes)
+            && is_valid_order(state.order)
+            && Array.isArray(state.layouts)
+            && state.layouts.length === grids.length
+            && state.layouts.every(is_valid_layout)
+        );
+        if (! is_valid)
+        {
+            throw new GridError(
+                'The state does not match the StaggeredGrid; the grid items or '
+                + 'the layouts have changed since it was saved.'
+            );
+        }
+
+        for (let i = 0; i < grids.length; i++)
+        {
+            grids[i].restore(state.order, state.layouts[i].layout, state.layouts[i].positions);
+        }
+        restoring = true;
+        try
+        {
+            pack();
+        }
+        finally
+        {
+            restoring = false;
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Make sure that only the items of a virtualized grid that are in or near
+     * the viewport (or the scroll container) have an element in the DOM.
+     * Elements are created with `virtualize.render_item` and removed from the
+     * DOM when they are no longer near the viewport.
+     *
+     * @param {Grid} grid - The grid that is being rendered.
+     *
+     * @returns {Array} - The elements that were made visible.
+     */
+    function mount_visible_items(grid = grid_utils.required_arg('grid'))
+    {
+        const [top, bottom] = find_visible_range();
+        const visible = new Set(grid.find_items_in_range(
+            top - virtualize.overscan,
+            bottom + virtualize.overscan
+        ));
+        let changed = false;
+
+        mounted_elements.forEach((element, index) =>
+        {
+            if (visible.has(index) === false)
+            {
+                for (let i = 0; i < grids.length; i++)
+                {
+                    grids[i].set_element(index);
+                }
+                element.remove();
+                if (virtualize.recycle)
+                {
+                    recycled_elements.push(element);
+                }
+                mounted_elements.delete(index);
+                changed = true;
+            }
+        });
+
+        visible.forEach((index) =>
+        {
+            if (mounted_elements.has(index) === false)
+            {
+                const element = virtualize.render_item(index, recycled_elements.pop());
+                grid_element.appendChild(element);
+                // Every layout needs the element; otherwise it won't be
+                // rendered after a breakpoint change.
+                for (let i = 0; i < grids.length; i++)
+                {
+                    grids[i].set_element(index, element);
+                }
+                mounted_elements.set(index, element);
+                changed = true;
+            }
+        });
+
+        if (changed === false)
+        {
+            return [];
+        }
+        return grid.pack({
+            render: true,
+            container_width: get_container_width(),
+            root_font_size: root_font_size,
+        });
+    }
+
+    /**
+     * @private
+     *
+     * @returns {Array} - The top and bottom of the part of the grid that is
+     * visible in the viewport (or the scroll container); relative to the top
+     * of the grid.
+     */
+    function find_visible_range()
+    {
+        const grid_top = grid_element.getBoundingClientRect().top;
+        if (scroll_container)
+        {
+            const top = scroll_container.getBoundingClientRect().top - grid_top;
+            return [top, top + scroll_container.clientHeight];
+        }
+        return [-grid_top, -grid_top + window.innerHeight];
+    }
+
+    /**
+     * @private
+     *
+     * Hide the stamps of the other layouts; the stamps of the grid that is
+     * rendered are shown by the grid itself.
+     *
+     * @param {Grid} grid - The grid that has been rendered.
+     */
+    function hide_other_stamps(grid = grid_utils.required_arg('grid'))
+    {
+        for (let i = 0; i < grids.length; i++)
+        {
+            const elements = grids[i].stamp_elements;
+            for (let j = 0; j < elements.length; j++)
+            {
+                if (elements[j] && grid.stamp_elements.includes(elements[j]) === false)
+                {
+                    elements[j].style.display = 'none';
+                }
+            }
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Add the sentinel element that is observed to find out when the end of
+     * the grid is near; see `infinite_scroll`.
+     */
+    function init_infinite_scroll()
+    {
+        sentinel = document.createElement('div');
+        sentinel.setAttribute('aria-hidden', 'true');
+        sentinel.style.cssText = (
+            'position: absolute; left: 0; width: 1px; height: 1px; '
+            + 'visibility: hidden; pointer-events: none;'
+        );
+        grid_element.appendChild(sentinel);
+        sentinel_observer = new IntersectionObserver((entries) =>
+        {
+            if (entries[entries.length - 1].isIntersecting)
+            {
+                load_more();
+            }
+        }, {
+            root: scroll_container || null,
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Move the sentinel to `threshold` pixels above the end of the shortest
+     * (or tallest) column. The sentinel is observed once the grid has been
+     * rendered for the first time.
+     *
+     * @param {Grid} grid - The grid that has been rendered.
+     */
+    function place_sentinel(grid = grid_utils.required_arg('grid'))
+    {
+        const heights = grid.get_column_heights();
+        let end = Math.min(...heights);
+        if (infinite_scroll.measure_from === 'tallest')
+        {
+            end = Math.max(...heights);
+        }
+        sentinel.style.top = `${Math.max(0, end - infinite_scroll.threshold)}px`;
+        if (has_more)
+        {
+            // Observing again checks the sentinel right away; for example,
+            // when the new items didn't fill the viewport.
+            sentinel_observer.unobserve(sentinel);
+            sentinel_observer.observe(sentinel);
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Call `infinite_scroll.load_more` and add the elements that it returns
+     * to the grid. Only one load runs at a time and nothing is loaded
+     * anymore once `load_more` returns no elements.
+     */
+    function load_more()
+    {
+        if (is_loading || has_more === false || destroyed || active === false)
+        {
+            return;
+        }
+        is_loading = true;
+        Promise.resolve().then(() => infinite_scroll.load_more()).then((elements) =>
+        {
+            is_loading = false;
+            if (destroyed)
+            {
+                return;
+            }
+            if (! elements || elements.length === 0)
+            {
+                // The end of the data.
+                has_more = false;
+                sentinel_observer.disconnect();
+                return;
+            }
+            elements = Array.from(elements);
+            for (let i = 0; i < elements.length; i++)
+            {
+                if (elements[i].parentNode !== grid_element)
+                {
+                    grid_element.insertBefore(elements[i], sentinel);
+                }
+            }
+            update({elements: elements});
+        }).catch((error) =>
+        {
+            // Also when the elements couldn't be added to the grid. Try
+            // again the next time the sentinel is scrolled into view.
+            is_loading = false;
+            console.warn('Failed to load more items into StaggeredGrid.', error);
+        });
+    }
+
+    /**
+     * @private
+     *
+     * Set the position of each item in the reading order with
+     * `aria-posinset` and keep one item focusable with the tab key (a
+     * roving tabindex); so that the order of the items for keyboard and
+     * screen reader users matches the layout instead of the DOM.
+     *
+     * @param {Grid} grid - The grid that has been rendered.
+     */
+    function update_reading_order(grid = grid_utils.required_arg('grid'))
+    {
+        reading_order = grid.get_reading_order();
+        reading_orientation = grid.orientation;
+        if (set_aria)
+        {
+            grid_element.setAttribute('role', 'list');
+            for (let i = 0; i < reading_order.length; i++)
+            {
+                const element = reading_order[i].element;
+                if (element)
+                {
+                    element.setAttribute('role', 'listitem');
+                    element.setAttribute('aria-posinset', i + 1);
+                    element.setAttribute('aria-setsize', reading_order.length);
+                }
+            }
+        }
+
+        if (keyboard_navigation)
+        {
+            const is_laid_out = reading_order.some((item) => item.element === focusable_element);
+            if (is_laid_out === false)
+            {
+                const first = reading_order.find((item) => item.element);
+                focusable_element = first ? first.element : undefined;
+            }
+            const elements = grid_element.children;
+            for (let i = 0; i < elements.length; i++)
+            {
+                if (elements[i].classList.contains('grid-item'))
+                {
+                    elements[i].tabIndex = elements[i] === focusable_element ? 0 : -1;
+                }
+            }
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Keep track of the focused grid item for the roving tabindex.
+     *
+     * @param {FocusEvent} event
+     */
+    function handle_focusin(event)
+    {
+        const element = event.target;
+        if (element === focusable_element || element.parentNode !== grid_element)
+        {
+            return;
+        }
+        if (reading_order.some((item) => item.element === element))
+        {
+            if (focusable_element)
+            {
+                focusable_element.tabIndex = -1;
+            }
+            element.tabIndex = 0;
+            focusable_element = element;
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Move the focus to another grid item with the arrow keys, `Home` and
+     * `End`.
+     *
+     * @param {KeyboardEvent} event
+     */
+    function handle_keydown(event)
+    {
+        const item = reading_order.find((other) => other.element === event.target);
+        if (! item)
+        {
+            // Only when a grid item itself has focus; not an element inside it.
+            return;
+        }
+        const target = find_item_in_direction(item, event.key);
+        if (target)
+        {
+            event.preventDefault();
+            target.element.focus();
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Finds the item to move the focus to. Up and down move within the
+     * column; left and right move to the item in the next column whose
+     * middle is closest to the middle of the item. In horizontal layouts
+     * left and right move within the row and up and down to the next row.
+     *
+     * @param {Object} item - The grid item that has focus.
+     * @param {String} key - The `key` of the keyboard event.
+     *
+     * @returns {Object} - The grid item to focus; undefined when there is no
+     * item in that direction or when the key is not used for navigation.
+     */
+    function find_item_in_direction(item, key)
+    {
+        const candidates = reading_order.filter((other) => other !== item && other.element);
+        const is_in_column = (other, column) => (
+            other.column <= column && column < other.column + other.span
+        );
+        const horizontal = reading_orientation === 'horizontal';
+        // The position along the column; along the row in horizontal
+        // layouts.
+        const position = (other) => (horizontal ? other.coords.x : other.coords.y);
+        const middle = (other) => position(other) + ((horizontal ? other.width : other.height) / 2);
+        let direction = key;
+        if (horizontal)
+        {
+            // The columns of a horizontal layout are rows; so the arrow keys
+            // are turned a quarter.
+            const directions = {
+                ArrowUp: 'ArrowLeft',
+                ArrowDown: 'ArrowRight',
+                ArrowLeft: rtl ? 'ArrowDown' : 'ArrowUp',
+                ArrowRight: rtl ? 'ArrowUp' : 'ArrowDown',
+            };
+            direction = directions[key] || key;
+        }
+
+        if (direction === 'Home')
+        {
+            return reading_order.find((other) => other.element);
+        }
+        if (direction === 'End')
+        {
+            const elements = reading_order.filter((other) => other.element);
+            return elements[elements.length - 1];
+        }
+        if (direction === 'ArrowUp' || direction === 'ArrowDown')
+        {
+            let target = undefined;
+            for (let i = 0; i < candidates.length; i++)
+            {
+                const other = candidates[i];
+                if (is_in_column(other, item.column) === false)
+                {
+                    continue;
+                }
+                if (direction === 'ArrowUp' && position(other) < position(item))
+                {
+                    if (! target || position(other) > position(target))
+                    {
+                        target = other;
+                    }
+                }
+                else if (direction === 'ArrowDown' && position(other) > position(item))
+                {
+                    if (! target || position(other) < position(target))
+                    {
+                        target = other;
+                    }
+                }
+            }
+            return target;
+        }
+        if (direction === 'ArrowLeft' || direction === 'ArrowRight')
+        {
+            // Column 0 is on the right in right-to-left layouts; the rows of
+            // horizontal layouts always go from top to bottom.
+            let step = direction === 'ArrowRight' ? 1 : -1;
+            if (rtl && horizontal === false)
+            {
+                step = step * -1;
+            }
+            const number_of_cols = Math.max(...reading_order.map((other) => other.column + other.span));
+            let column = step > 0 ? item.column + item.span : item.column - 1;
+            // Skip the columns that are empty.
+            while (column >= 0 && column < number_of_cols)
+            {
+                let target = undefined;
+                for (let i = 0; i < candidates.length; i++)
+                {
+                    const other = candidates[i];
+                    if (is_in_column(other, column) === false)
+                    {
+                        continue;
+                    }
+                    const distance = Math.abs(middle(other) - middle(item));
+                    if (! target || distance < Math.abs(middle(target) - middle(item)))
+                    {
+                        target = other;
+                    }
+                }
+                if (target)
+                {
+                    return target;
+                }
+                column += step;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * @private
+     *
+     * @param {HTMLElement} element - A child of the grid element.
+     *
+     * @returns {Boolean} - Whether the element is shown; not filtered out and
+     * not waiting to be shown for the first time.
+     */
+    function is_shown(element)
+    {
+        return element.style.display !== 'none' && (
+            element.style.opacity === '1'
+            || element.classList.contains(animate_css_class)
+        );
+    }
+
+    /**
+     * @private
+     *
+     * Measure the visible grid items before the grid is rendered; the
+     * "first" step of FLIP. Transitions that are still playing are stopped
+     * so that the items move on from where they are.
+     *
+     * @returns {Map} - The bounding rect of each visible element.
+     */
+    function measure_visible_items()
+    {
+        const rects = new Map();
+        const elements = grid_element.children;
+        for (let i = 0; i < elements.length; i++)
+        {
+            const element = elements[i];
+            if (is_shown(element))
+            {
+                rects.set(element, element.getBoundingClientRect());
+            }
+        }
+        running_transitions.forEach((animation) => animation.cancel());
+        running_transitions.clear();
+        return rects;
+    }
+
+    /**
+     * @private
+     *
+     * Animate the items from where they were to where they have been
+     * rendered; the "last", "invert" and "play" steps of FLIP.
+     *
+     * @param {Map} first_rects - See `measure_visible_items`.
+     */
+    function play_transitions(first_rects = grid_utils.required_arg('first_rects'))
+    {
+        // Read all the new positions before changing anything.
+        const moves = [];
+        first_rects.forEach((first, element) =>
+        {
+            if (element.parentNode !== grid_element || element.style.display === 'none')
+            {
+                // Removed or filtered out.
+                return;
+            }
+            if (typeof element.animate !== 'function')
+            {
+                return;
+            }
+            const last = element.getBoundingClientRect();
+            // Right-to-left items are anchored on the right.
+            const dx = rtl ? first.right - last.right : first.left - last.left;
+            const dy = first.top - last.top;
+            if (dx !== 0 || dy !== 0 || first.width !== last.width || first.height !== last.height)
+            {
+                moves.push([element, first, last, dx, dy]);
             }
+        });
+
+        for (let i = 0; i < moves.length; i++)
+        {
+            const [element, first, last, dx, dy] = moves[i];
+            // The transform of `use_translate` is kept; the offset is added
+            // in front of it.
+            const transform = element.style.transform;
+            const animation = element.animate([
+                {
+                    transform: `translate(${dx}px, ${dy}px) ${transform}`.trim(),
+                    width: `${first.width}px`,
+                    height: `${first.height}px`,
+                },
+                {
+                    transform: transform || 'none',
+                    width: `${last.width}px`,
+                    height: `${last.height}px`,
+                },
+            ], {
+                duration: transition.duration,
+                easing: transition.easing,
+            });
+            running_transitions.set(element, animation);
+            animation.onfinish = () =>
+            {
+                if (running_transitions.get(element) === animation)
+                {
+                    running_transitions.delete(element);
+                }
+            };
         }
     }
 
     /**
-     * @private
+     * Find the grid item to keep in place when the grid is laid out again;
+     * see `scroll_anchoring`. That's the focused grid item when it's in view
+     * and otherwise the first grid item that is fully in view. The items are
+     * found by the positions they were rendered at; only the anchor is
+     * measured.
      *
-     * Finds the shortest column in the grid. So that we know which column to
-     * add the next grid item to when calculating the position of each grid item.
+     * @returns {Object} - `{element, top}`; the element of the grid item and
+     * the top of its bounding rect. Undefined when scroll anchoring is off or
+     * when no grid item is in view.
      *
-     * @returns {Array} - The column number (0, 1, 2, etc) and the height value
-     * of the shortest/smallest column in the grid. For example:
-     * [smallest_col_index, height_of_smallest_column]
+     * @throws {GridError} - When the grid has been destroyed.
      */
-    function find_smallest_col()
+    function find_scroll_anchor()
     {
-        const smallest_value = Math.min(...col_sizes);
-        const col_number = col_sizes.indexOf(smallest_value);
+        check_if_destroyed();
+        const rendered_grid = grids[layouts.indexOf(rendered_layout)];
+        if (! scroll_anchoring || first_pack || ! rendered_grid)
+        {
+            return undefined;
+        }
+
+        const [top, bottom] = find_visible_range();
+        const candidates = rendered_grid.find_items_in_range(top, bottom)
+            .map((index) => rendered_grid.get_item(index))
+            .filter((item) => item.element && is_shown(item.element));
+        let focused_element = undefined;
+        if (scroll_anchoring.prefer_focused && document.activeElement)
+        {
+            focused_element = document.activeElement.closest('.grid-item');
+        }
 
-        // For example, column 0 is column 1, column 1 is column 2.
-        // It has to be the index otherwise the math won't work and you'll end
-        // skipping the first column.
-        return [col_number, smallest_value];
+        // Items that are fully in view come first; then the highest item and
+        // then the item at the start of the row.
+        const is_fully_in_view = (item) => item.y >= top && item.y + item.height <= bottom;
+        const comes_before = (item, other) =>
+        {
+            if (is_fully_in_view(item) !== is_fully_in_view(other))
+            {
+                return is_fully_in_view(item);
+            }
+            if (item.y !== other.y)
+            {
+                return item.y < other.y;
+            }
+            return item.x < other.x;
+        };
+        let anchor = candidates.find((item) => item.element === focused_element);
+        if (! anchor)
+        {
+            for (let i = 0; i < candidates.length; i++)
+            {
+                if (! anchor || comes_before(candidates[i], anchor))
+                {
+                    anchor = candidates[i];
+                }
+            }
+        }
+        if (! anchor)
+        {
+            return undefined;
+        }
+        return {
+            element: anchor.element,
+            top: anchor.element.getBoundingClientRect().top,
+        };
     }
 
     /**
-     * @private
+     * Keep an item in place the next time the grid is rendered; instead of
+     * the item found by `find_scroll_anchor`. Used by
+     * `GridCollection.set_active_grid`; the anchor is found in the grid that
+     * was active before.
      *
-     * Finds the tallest column in the grid. So that we can calculate the
-     * height of the grid.
+     * @param {Object} anchor - See `find_scroll_anchor`.
      *
-     * @returns {Number} - The height value of the tallest column.
+     * @throws {GridError} - When the grid has been destroyed.
      */
-    function find_tallest_height()
+    function set_scroll_anchor(anchor)
     {
-        const tallest = Math.max(...col_sizes) - x_gutter;
-        return tallest;
+        check_if_destroyed();
+        if (scroll_anchoring)
+        {
+            pending_scroll_anchor = anchor;
+        }
     }
 
     /**
      * @private
      *
-     * Add new items to the grid; does not actually append items to a DOM element.
-     * After calling this function you must also call the pack function on the
-     * instance to calculate the positions for the new elements that have been
-     * added.
+     * Scroll the window (or the scroll container) so that the anchor is back
+     * where it was in the viewport before the grid was rendered.
      *
-     * @param {Array} elements - The new HTML
-     * elements to add to the grid's items.
+     * @param {Object} anchor - See `find_scroll_anchor`.
      */
-    function update({
-        elements = grid_utils.required_arg('elements'),
-    })
+    function keep_scroll_anchor(anchor = grid_utils.required_arg('anchor'))
     {
-        add_new_items(elements);
-    }
-
-    return {
-        add_new_items: add_new_items,
-        pack: pack,
-        update: update,
-
-        breakpoint: breakpoint,
-        full_width: full_width,
-        full_width_with_outside_gutters: full_width_with_outside_gutters,
-    };
-}
-
-
-
-
-/**
- * @class
- *
- * A responsive grid that consists of a bunch of non-responsive grids; `Grid`
- * objects.
- *
- * @throws {TypeError} - When the new keyword is not used to instantiate a new
- * `StaggeredGrid` instance.
- * @throws {GridConfigError} - When the `grid_id` doesn't match an element in the DOM.
- */
-function StaggeredGrid({
-    layouts = [
-        {
-            number_of_cols: 1,
-            column_width: 100,
-            gutter: 20,
-            x_gutter: 20,
-            breakpoint: 0,
-            full_width: true,
-            full_width_with_outside_gutters: false,
-        },
-        {
-            number_of_cols: 2,
-            column_width: 400,
-            gutter: 20,
-            x_gutter: 20,
-            breakpoint: 900,
-        },
+        const element = anchor.element;
+        if (element.parentNode !== grid_element || element.style.display === 'none')
         {
-            number_of_cols: 3,
-            column_width: 420,
-            gutter: 25,
-            x_gutter: 25,
-            breakpoint: 1350,
-            // fixed_width: 400,
-        },
-    ],
-    grid_id = 'staggered-grid',
-    mirror_width_container_id = '',
-
-    set_width = true,
-    set_height = true,
-    min_width_media_queries = true,
-
-    animate = false,
-    animate_cols = false,
-    animate_delay = 0,
-    animate_css_class = 'animate',
-
-    use_translate = false,
-    rtl = false,
-    active = true,
-    horizontal_order = false,
-})
-{
-    if (! new.target)
-    {
-        throw new TypeError('Object cannot be created without the new keyword');
-    }
-
-    const grids = [];
-    const media_queries = [];
-    const grid_element = document.getElementById(grid_id);
-    let mirror_width_container = undefined;
-    if (mirror_width_container_id)
-    {
-        mirror_width_container = document.getElementById(mirror_width_container_id);
-    }
-    let first_pack = true;
-
-    if (! grid_element)
-    {
-        throw new GridConfigError('No grid element found in the DOM for StaggeredGrid.');
-    }
-
-    function init()
-    {
-        if (rtl && use_translate)
+            // Removed or filtered out.
+            return;
+        }
+        const offset = element.getBoundingClientRect().top - anchor.top;
+        if (offset === 0)
         {
-            // Example of rtl CSS class being added to the grid element:
-            // .staggered-grid-rtl .grid-item {
-            //     right: 0;
-            // }
-            grid_element.classList.add('staggered-grid-rtl');
+            return;
         }
-        const prefers_reduced_motion = window.matchMedia('(prefers-reduced-motion: reduce)');
-        if (prefers_reduced_motion.matches)
+        if (scroll_container)
         {
-            animate = false;
-            animate_cols = false;
+            scroll_container.scrollTop += offset;
         }
-        const elements = Array.from(grid_element.children);
-        for (let i = 0; i < layouts.length; i++)
+        else
         {
-            const layout = layouts[i];
-            let conf = {
-                grid_element: grid_element,
-                mirror_width_container: mirror_width_container,
-                set_width: set_width,
-                set_height: set_height,
-                animate: animate,
-                animate_cols: animate_cols,
-                animate_delay: animate_delay,
-                animate_css_class: animate_css_class,
-                use_translate: use_translate,
-                rtl: rtl,
-                horizontal_order: horizontal_order,
-            };
-            conf = Object.assign(conf, layout);
-            const grid = new Grid(conf);
-            grid.add_new_items(elements);
-            push(grid);
+            window.scrollBy(0, offset);
         }
     }
-    init();
-
 
     /**
-     * Set the state of this grid to active. This means that this grid is
-     * currently being used in the UI. This is really just when this grid
-     * is being used as part of a `GridCollection`. If the grid is not active
-     * then render is implicitly set to false and the DOM will not be updated.
+     * Tear down the grid. Removes all the listeners that were added by the
+     * grid and clears the inline styles and CSS classes that were set on the
+     * grid element, the mirror width container and the grid items. The grid
+     * cannot be used after it has been destroyed.
      *
-     * @param {Boolean} new_active - The active state to set the grid to.
+     * @throws {GridError} - When the grid has already been destroyed.
      */
-    function set_active(new_active)
+    function destroy()
     {
-        active = new_active;
-    }
+        check_if_destroyed();
 
+        for (let i = 0; i < media_queries.length; i++)
+        {
+            media_queries[i].removeListener(pack);
+        }
+        media_queries.length = 0;
 
-    /**
-     * @private
-     *
-     * Add a new `Grid` object to the grids array.
-     *
-     * @param {Grid} grid - The grid to add.
-     */
-    function push(grid = grid_utils.required_arg(grid))
-    {
-        let setting = 'max-width';
-        if (min_width_media_queries)
+        if (resize_observer)
         {
-            setting = 'min-width';
+            resize_observer.disconnect();
+            resize_observer = undefined;
         }
-        const query = window.matchMedia(`(${setting}: ${grid.breakpoint}px)`);
-        query.addListener(pack);
-        media_queries.push(query);
-        grids.push(grid);
-    }
+        running_transitions.forEach((animation) => animation.cancel());
+        running_transitions.clear();
 
+        if (mutation_observer)
+        {
+            mutation_observer.disconnect();
+            mutation_observer = undefined;
+        }
 
-    const debounced_pack = grid_utils.debounce(() =>
-    {
-        pack();
-    }, 80);
-    let has_resize_listener = false;
+        if (sentinel)
+        {
+            sentinel_observer.disconnect();
+            sentinel_observer = undefined;
+            sentinel.remove();
+            sentinel = undefined;
+        }
 
-    /**
-     * Pack the grid by calculating the position of each grid-item element,
-     * caching those values and updating the DOM with the calculated values
-     * if `render` is set to `true`.
-     *
-     * @param {Boolean} [obj.render = true] - If set to false the function will
-     * not update the DOM. If active is set to false on the grid then render
-     * will automatically be set to false too.
-     * @param {Array || NodeList || HTMLCollection} [obj.elements = undefined]
-     * - New elements to add to the grid. Only used internally by the `update`
-     * function.
-     */
-    function pack({
-        render = true,
-        elements = undefined,
-    } = {
-        render: true,
-        elements: undefined,
-    })
-    {
-        if (active === false)
+        if (font_size_observer)
         {
-            render = false;
+            font_size_observer.disconnect();
+            font_size_observer = undefined;
+            font_size_probe.remove();
+            font_size_probe = undefined;
         }
 
-        // Find layout / media query target
-        // Pack the grid that matches the media query target.
-        const matching_query = find_matching_query();
+        if (has_resize_listener)
+        {
+            window.removeEventListener('resize', debounced_pack, {passive: true});
+            has_resize_listener = false;
+        }
 
         for (let i = 0; i < grids.length; i++)
         {
-            const grid = grids[i];
-            if (grid.breakpoint === matching_query)
-            {
-                if ((grid.full_width || grid.full_width_with_outside_gutters) && has_resize_listener === false)
-                {
-                    window.addEventListener('resize', debounced_pack, {passive: true});
-                    has_resize_listener = true;
-                }
-                else if (grid.full_width === false && has_resize_listener === true)
-                {
-                    window.removeEventListener('resize', debounced_pack, {passive: true});
-                    has_resize_listener = false;
-                }
-
-                if (elements)
-                {
-                    grid.update({
-                        elements: elements,
-                    });
-                    // After calling update we must call pack too.
-                    grid.pack({
-                        render: render,
-                        show_items: first_pack,
-                    });
-                }
-                else
-                {
-                    grid.pack({
-                        render: render,
-                        show_items: first_pack,
-                    });
-                }
-                break;
-            }
+            grids[i].destroy();
         }
+        grids.length = 0;
+        breakpoints.length = 0;
 
-        // Only do this the first time the grid is packed or when the grid
-        // is being updated with new elements.
-        // Calculate all the other possible layouts in advance so
-        // we can save some performance on those calculations.
-        if (first_pack || elements)
+        if (virtualize)
         {
-            for (let i = 0; i < grids.length; i++)
+            const scroll_target = scroll_container || window;
+            scroll_target.removeEventListener('scroll', throttled_mount_visible_items, {passive: true});
+            window.removeEventListener('resize', throttled_mount_visible_items, {passive: true});
+            // The elements were created by render_item; so remove them.
+            mounted_elements.forEach((element) => element.remove());
+            mounted_elements.clear();
+            recycled_elements.length = 0;
+        }
+
+        for (let i = 0; i < listeners.length; i++)
+        {
+            grid_element.removeEventListener(listeners[i][0], listeners[i][1]);
+        }
+        listeners.length = 0;
+
+        if (keyboard_navigation || set_aria)
+        {
+            grid_element.removeEventListener('keydown', handle_keydown);
+            grid_element.removeEventListener('focusin', handle_focusin);
+            const elements = grid_element.children;
+            for (let i = 0; i < elements.length; i++)
             {
-                const grid = grids[i];
-                if (grid.breakpoint !== matching_query)
+                const element = elements[i];
+                if (element.classList.contains('grid-item') === false)
                 {
-                    if (elements)
-                    {
-                        grid.update({
-                            elements: elements,
-                        });
-                    }
-                    grid.pack({render: false});
+                    continue;
+                }
+                if (keyboard_navigation)
+                {
+                    element.removeAttribute('tabindex');
+                }
+                if (set_aria)
+                {
+                    element.removeAttribute('role');
+                    element.removeAttribute('aria-posinset');
+                    element.removeAttribute('aria-setsize');
                 }
             }
-            first_pack = false;
+            if (set_aria)
+            {
+                grid_element.removeAttribute('role');
+            }
+            reading_order = [];
+            focusable_element = undefined;
+        }
+
+        grid_element.style.width = '';
+        grid_element.style.height = '';
+        grid_element.classList.remove('staggered-grid-rtl');
+        if (mirror_width_container)
+        {
+            mirror_width_container.style.width = '';
+            mirror_width_container.style.opacity = '';
         }
+
+        destroyed = true;
     }
 
     /**
-     * Update the grid with new elements. Will automatically pack the grid.
-     * Keep in mind that this does not append new elements to a DOM element;
-     * it merely tells the grid that new elements have already been appended
-     * to the DOM and that the grid should calculate the positions for the new
-     * items and then update the DOM with the values for positioning.
+     * @private
      *
-     * @param {Array || NodeList || HTMLCollection} elements - The new elements
-     * to add to the grid. They will not be added to the DOM; they should
-     * already be in the DOM.
-     * @param {Boolean} [obj.render = true]
+     * @returns {Number} - The width that full width layouts have to fit in;
+     * the width of the viewport or of the breakpoint container.
      */
-    function update({
-        elements = grid_utils.required_arg('elements'),
-        render = true,
-    })
+    function get_container_width()
     {
-        // The `update` function is really just here to make it clearer about
-        // what you're doing when you're adding new elements to an already packed
-        // grid, because technically you could use the `pack` function on
-        // `StaggeredGrid` to do the update but it's more obvious as to what
-        // you're doing when you call this `update` function.
-        if (! elements)
+        if (breakpoint_container)
         {
-            console.warn('Trying to update StaggeredGrid with empty elements arg.');
-            return;
+            return breakpoint_container.clientWidth;
         }
-        if (Array.isArray(elements) === false)
+        return document.documentElement.clientWidth;
+    }
+
+    /**
+     * @private
+     *
+     * @returns {Grid} - The grid of the closest matching media query.
+     */
+    function find_matching_grid()
+    {
+        const matching_query = find_matching_query();
+        for (let i = 0; i < grids.length; i++)
         {
-            elements = Array.from(elements);
+            if (breakpoints[i] === matching_query)
+            {
+                return grids[i];
+            }
         }
-        pack({
-            elements: elements,
-            render: render,
-        });
+        return undefined;
     }
 
     /**
@@ -761,6 +5550,19 @@ function StaggeredGrid({
         let media = undefined;
         const matches = [];
 
+        if (breakpoint_container)
+        {
+            // Same as the media queries; but for the width of the container.
+            const width = get_container_width();
+            for (let i = 0; i < grids.length; i++)
+            {
+                const breakpoint = breakpoints[i];
+                if (min_width_media_queries ? width >= breakpoint : width <= breakpoint)
+                {
+                    matches.push(breakpoint);
+                }
+            }
+        }
         for (let i = 0; i < media_queries.length; i++)
         {
             const query = media_queries[i];
@@ -769,7 +5571,7 @@ function StaggeredGrid({
                 media = query.media.split(':')[1].trim();
                 media = media.replace(')', '');
                 media = media.replace('px', '');
-                media = parseInt(media);
+                media = parseFloat(media);
                 matches.push(media);
             }
         }
@@ -784,10 +5586,25 @@ function StaggeredGrid({
         return media;
     }
 
-    return {
+    const staggered_grid = {
         pack: pack,
         update: update,
+        insert: insert,
+        prepend: prepend,
+        remove: remove,
+        filter: filter,
+        sort: sort,
+        serialize: serialize,
+        restore: restore,
+        destroy: destroy,
         set_active: set_active,
+        find_scroll_anchor: find_scroll_anchor,
+        set_scroll_anchor: set_scroll_anchor,
+        has_element: has_element,
+        leave_out_item_problems: leave_out_item_problems,
+        on: on,
+        off: off,
+        dispatch: dispatch,
 
         grid_id: grid_id,
         use_translate: use_translate,
@@ -795,7 +5612,11 @@ function StaggeredGrid({
         set_height: set_height,
         min_width_media_queries: min_width_media_queries,
         rtl: rtl,
+        on_duplicate: on_duplicate,
+        breakpoint_source: breakpoint_source,
+        observe: observe,
     };
+    return staggered_grid;
 }
 
 
@@ -806,13 +5627,40 @@ function StaggeredGrid({
  *
  * A GridCollection is just a containing object to store StaggeredGrid instances
  * in so that you can switch between different grid configurations in the UI.
+ *
+ * @param {Boolean} [obj.observe = false] - Add and remove grid items
+ * automatically when they are added to or removed from the grid element.
+ * Don't set `observe` on the grids in the collection as well.
  */
 class GridCollection
 {
-    constructor()
+    constructor({
+        observe = false,
+    } = {
+        observe: false,
+    })
     {
         this.grids = [];
         this.active_grid = undefined;
+        this.destroyed = false;
+        // Event listeners added with `on`; so that they can be added to grids
+        // that are pushed later.
+        this.listeners = [];
+        this.observe = observe;
+        this.mutation_observer = undefined;
+    }
+
+    /**
+     * @private
+     *
+     * @throws {GridError} - When the GridCollection has been destroyed.
+     */
+    check_if_destroyed()
+    {
+        if (this.destroyed)
+        {
+            throw new GridError('The GridCollection has been destroyed.');
+        }
     }
 
     /**
@@ -868,6 +5716,14 @@ class GridCollection
                 {
                     mismatching_settings.push('rtl');
                 }
+                if (current_grid.on_duplicate !== grid_for_compare.on_duplicate)
+                {
+                    mismatching_settings.push('on_duplicate');
+                }
+                if (current_grid.breakpoint_source !== grid_for_compare.breakpoint_source)
+                {
+                    mismatching_settings.push('breakpoint_source');
+                }
             }
 
             if (mismatching_settings.length > 0)
@@ -899,6 +5755,7 @@ class GridCollection
      */
     set_active_grid(new_active_grid)
     {
+        this.check_if_destroyed();
         let grid_exists_in_collection = false;
         for (let i = 0; i < this.grids.length; i++)
         {
@@ -917,12 +5774,65 @@ class GridCollection
             );
         }
 
+        const previous_grid = this.active_grid;
+        if (previous_grid && previous_grid !== new_active_grid)
+        {
+            // The items are still where the previous grid put them.
+            new_active_grid.set_scroll_anchor(previous_grid.find_scroll_anchor());
+        }
         this.active_grid = new_active_grid;
         for (let i = 0; i < this.grids.length; i++)
         {
             this.grids[i].set_active(false);
         }
         this.active_grid.set_active(true);
+
+        if (previous_grid !== new_active_grid)
+        {
+            this.active_grid.dispatch('activegridchange', {
+                previous_grid: previous_grid,
+            });
+        }
+    }
+
+    /**
+     * Add an event listener to all the grids in the `GridCollection`; also
+     * to grids that are pushed to the collection later. See
+     * `StaggeredGrid.on` for the available events.
+     *
+     * @param {String} type - The event type.
+     * @param {Function} handler - The event listener.
+     */
+    on(type, handler)
+    {
+        this.check_if_destroyed();
+        this.listeners.push([type, handler]);
+        for (let i = 0; i < this.grids.length; i++)
+        {
+            this.grids[i].on(type, handler);
+        }
+    }
+
+    /**
+     * Remove an event listener that was added with `on`.
+     *
+     * @param {String} type - The event type.
+     * @param {Function} handler - The event listener.
+     */
+    off(type, handler)
+    {
+        this.check_if_destroyed();
+        for (let i = this.listeners.length - 1; i >= 0; i--)
+        {
+            if (this.listeners[i][0] === type && this.listeners[i][1] === handler)
+            {
+                this.listeners.splice(i, 1);
+            }
+        }
+        for (let i = 0; i < this.grids.length; i++)
+        {
+            this.grids[i].off(type, handler);
+        }
     }
 
     /**
@@ -931,6 +5841,7 @@ class GridCollection
      */
     push(grid)
     {
+        this.check_if_destroyed();
         // First, make sure we aren't adding a grid
         // that already exists in the collection.
         let add_to_collection = true;
@@ -945,8 +5856,73 @@ class GridCollection
 
         if (add_to_collection)
         {
+            if (this.observe && grid.observe)
+            {
+                throw new GridConfigError(
+                    'Set observe on the GridCollection or on its grids; not both.'
+                );
+            }
             this.grids.push(grid);
             this.check_grid_settings();
+            for (let i = 0; i < this.listeners.length; i++)
+            {
+                grid.on(this.listeners[i][0], this.listeners[i][1]);
+            }
+            // All the grids in the collection share the grid element.
+            if (this.observe && ! this.mutation_observer)
+            {
+                this.mutation_observer = grid_utils.observe_grid_items(
+                    document.getElementById(grid.grid_id),
+                    (element) => this.grids.length > 0 && this.grids[0].has_element(element),
+                    (removed, runs) => this.apply_mutations(removed, runs)
+                );
+            }
+        }
+    }
+
+    /**
+     * @private
+     *
+     * Add and remove the grid items that were added to or removed from the
+     * grid element in all the grids; see `observe`. Only the active grid is
+     * rendered.
+     *
+     * @param {Array} removed - The elements that were removed.
+     * @param {Array} runs - The elements that were added and their index.
+     */
+    apply_mutations(removed, runs)
+    {
+        // The observer might have been disconnected while waiting.
+        if (this.destroyed || this.grids.length === 0)
+        {
+            return;
+        }
+        // Check the added grid items once for all the grids; the grid items
+        // with problems are left out of every grid so they stay in sync.
+        runs = (this.active_grid || this.grids[0]).leave_out_item_problems(runs);
+        for (let i = 0; i < this.grids.length; i++)
+        {
+            const grid = this.grids[i];
+            const render = grid === this.active_grid;
+            if (removed.length > 0)
+            {
+                grid.remove({
+                    elements: removed,
+                    render: render,
+                });
+            }
+            for (let j = 0; j < runs.length; j++)
+            {
+                if (runs[j][0].length === 0)
+                {
+                    continue;
+                }
+                grid.insert({
+                    elements: runs[j][0],
+                    index: runs[j][1],
+                    render: render,
+                });
+            }
         }
     }
 
@@ -957,6 +5933,7 @@ class GridCollection
      */
     pack()
     {
+        this.check_if_destroyed();
         this.check_if_active_grid();
         this.active_grid.pack();
 
@@ -981,6 +5958,7 @@ class GridCollection
             console.warn('Trying to update with empty elements arg.');
             return;
         }
+        this.check_if_destroyed();
         this.check_if_active_grid();
 
         // Update the active grid first; then update the inactive grids.
@@ -1001,4 +5979,163 @@ class GridCollection
             }
         }
     }
+
+    /**
+     * Inserts new elements into all the grids in the `GridCollection` at the
+     * given index. Will automatically pack the grids.
+     */
+    insert(new_elements, index)
+    {
+        if (! new_elements)
+        {
+            console.warn('Trying to insert empty elements arg.');
+            return;
+        }
+        this.check_if_destroyed();
+        this.check_if_active_grid();
+
+        // Update the active grid first; then update the inactive grids.
+        this.active_grid.insert({
+            elements: new_elements,
+            index: index,
+            render: true,
+        });
+
+        for (let i = 0; i < this.grids.length; i++)
+        {
+            const grid = this.grids[i];
+            if (grid !== this.active_grid)
+            {
+                grid.insert({
+                    elements: new_elements,
+                    index: index,
+                    render: false,
+                });
+            }
+        }
+    }
+
+    /**
+     * Inserts new elements before all the other grid items in all the grids
+     * in the `GridCollection`. Will automatically pack the grids.
+     */
+    prepend(new_elements)
+    {
+        this.insert(new_elements, 0);
+    }
+
+    /**
+     * Removes elements from all the grids in the `GridCollection`. Will
+     * automatically pack the grids.
+     */
+    remove(elements)
+    {
+        if (! elements)
+        {
+            console.warn('Trying to remove empty elements arg.');
+            return;
+        }
+        this.check_if_destroyed();
+        this.check_if_active_grid();
+
+        // Update the active grid first; then update the inactive grids.
+        this.active_grid.remove({
+            elements: elements,
+            render: true,
+        });
+
+        for (let i = 0; i < this.grids.length; i++)
+        {
+            const grid = this.grids[i];
+            if (grid !== this.active_grid)
+            {
+                grid.remove({
+                    elements: elements,
+                    render: false,
+                });
+            }
+        }
+    }
+
+    /**
+     * Filters all the grids in the `GridCollection`. See
+     * `StaggeredGrid.filter`.
+     */
+    filter(predicate = null)
+    {
+        this.check_if_destroyed();
+        this.check_if_active_grid();
+
+        // Filter the active grid first; then filter the inactive grids.
+        this.active_grid.filter(predicate);
+        for (let i = 0; i < this.grids.length; i++)
+        {
+            const grid = this.grids[i];
+            if (grid !== this.active_grid)
+            {
+                grid.filter(predicate);
+            }
+        }
+    }
+
+    /**
+     * Sorts all the grids in the `GridCollection`. See `StaggeredGrid.sort`.
+     */
+    sort(compare_fn = null)
+    {
+        this.check_if_destroyed();
+        this.check_if_active_grid();
+
+        // Sort the active grid first; then sort the inactive grids.
+        this.active_grid.sort(compare_fn);
+        for (let i = 0; i < this.grids.length; i++)
+        {
+            const grid = this.grids[i];
+            if (grid !== this.active_grid)
+            {
+                grid.sort(compare_fn);
+            }
+        }
+    }
+
+    /**
+     * Destroys all the grids in the `GridCollection`. The collection cannot
+     * be used after it has been destroyed.
+     *
+     * @throws {GridError} - When the GridCollection has already been destroyed.
+     */
+    destroy()
+    {
+        this.check_if_destroyed();
+        if (this.mutation_observer)
+        {
+            this.mutation_observer.disconnect();
+            this.mutation_observer = undefined;
+        }
+        for (let i = 0; i < this.grids.length; i++)
+        {
+            this.grids[i].destroy();
+        }
+        this.grids = [];
+        this.active_grid = undefined;
+        this.listeners = [];
+        this.destroyed = true;
+    }
+}
+
+
+
+
+// Make the package available to CommonJS (Node) and ES module consumers. In
+// browsers and Web Workers (importScripts) everything is a global already.
+if (typeof module === 'object' && module.exports)
+{
+    module.exports = {
+        compute_layout: compute_layout,
+        render_layout_css: render_layout_css,
+        StaggeredGrid: StaggeredGrid,
+        GridCollection: GridCollection,
+        GridError: GridError,
+        GridConfigError: GridConfigError,
+    };
 }